@@ -0,0 +1,11 @@
+// 二次验证通过后自动重新提交原表单 (由 /auth/step-up/continue 页面加载)
+(function () {
+  'use strict';
+
+  document.addEventListener('DOMContentLoaded', function () {
+    const form = document.querySelector('form[data-auto-submit]');
+    if (form) {
+      form.submit();
+    }
+  });
+})();
@@ -0,0 +1,149 @@
+// WebAuthn / Passkey 客户端脚本 (由认证页面通过 /auth/static/webauthn.js 加载)
+(function () {
+  'use strict';
+
+  function base64urlToBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '==='.slice((base64.length + 3) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+  }
+
+  function bufferToBase64url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function convertDescriptors(list) {
+    return (list || []).map(function (descriptor) {
+      return Object.assign({}, descriptor, { id: base64urlToBuffer(descriptor.id) });
+    });
+  }
+
+  function credentialToJSON(credential) {
+    const response = credential.response;
+    const json = {
+      id: credential.id,
+      rawId: bufferToBase64url(credential.rawId),
+      type: credential.type,
+      authenticatorAttachment: credential.authenticatorAttachment || undefined,
+      clientExtensionResults: credential.getClientExtensionResults(),
+      response: {
+        clientDataJSON: bufferToBase64url(response.clientDataJSON)
+      }
+    };
+
+    if (response.attestationObject) {
+      json.response.attestationObject = bufferToBase64url(response.attestationObject);
+      json.response.transports = typeof response.getTransports === 'function' ? response.getTransports() : [];
+    } else {
+      json.response.authenticatorData = bufferToBase64url(response.authenticatorData);
+      json.response.signature = bufferToBase64url(response.signature);
+      if (response.userHandle) {
+        json.response.userHandle = bufferToBase64url(response.userHandle);
+      }
+    }
+
+    return json;
+  }
+
+  function postJSON(url, body) {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    const csrfToken = document.querySelector('meta[name="csrf-token"]');
+    if (csrfToken) {
+      headers['X-CSRF-Token'] = csrfToken.content;
+    }
+    return fetch(url, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: headers,
+      body: JSON.stringify(body || {})
+    }).then(function (res) {
+      return res.json().then(function (data) {
+        if (!res.ok || data.success === false) {
+          throw new Error(data.error || data.message || 'Request failed');
+        }
+        return data;
+      });
+    });
+  }
+
+  function showError(message) {
+    const errorBox = document.getElementById('webauthn-error');
+    if (errorBox) {
+      errorBox.textContent = message;
+    }
+  }
+
+  function register(button) {
+    const nameInput = document.getElementById('webauthn-name');
+    // 已登录用户添加认证器时需要当前的验证码 (设置流程中没有此输入框)
+    const tokenInput = document.getElementById('webauthn-token');
+
+    return postJSON('/auth/webauthn/register/options', {
+      token: tokenInput ? tokenInput.value : ''
+    }).then(function (options) {
+      options.challenge = base64urlToBuffer(options.challenge);
+      options.user.id = base64urlToBuffer(options.user.id);
+      options.excludeCredentials = convertDescriptors(options.excludeCredentials);
+      return navigator.credentials.create({ publicKey: options });
+    }).then(function (credential) {
+      return postJSON('/auth/webauthn/register/verify', {
+        response: credentialToJSON(credential),
+        name: nameInput ? nameInput.value : ''
+      });
+    });
+  }
+
+  // 登录时使用 /auth/webauthn/authenticate，敏感路径的二次验证使用 /auth/step-up/webauthn
+  function authenticate(baseUrl) {
+    return postJSON(baseUrl + '/options').then(function (options) {
+      options.challenge = base64urlToBuffer(options.challenge);
+      options.allowCredentials = convertDescriptors(options.allowCredentials);
+      return navigator.credentials.get({ publicKey: options });
+    }).then(function (credential) {
+      const trustDevice = document.getElementById('trustDevice');
+      return postJSON(baseUrl + '/verify', {
+        response: credentialToJSON(credential),
+        trustDevice: !!(trustDevice && trustDevice.checked)
+      });
+    });
+  }
+
+  document.addEventListener('DOMContentLoaded', function () {
+    const buttons = document.querySelectorAll('[data-webauthn]');
+
+    buttons.forEach(function (button) {
+      if (!window.PublicKeyCredential) {
+        button.disabled = true;
+        showError('This browser does not support security keys or passkeys.');
+        return;
+      }
+
+      button.addEventListener('click', function () {
+        const action = button.getAttribute('data-webauthn');
+        const label = button.textContent;
+
+        button.disabled = true;
+        button.textContent = 'Waiting for authenticator...';
+        showError('');
+
+        (action === 'register' ? register(button) : authenticate(action === 'step-up' ? '/auth/step-up/webauthn' : '/auth/webauthn/authenticate')).then(function (result) {
+          window.location.href = result.redirect || '/';
+        }).catch(function (error) {
+          button.disabled = false;
+          button.textContent = label;
+          showError(error.name === 'NotAllowedError' ? 'The operation was cancelled or timed out.' : error.message);
+        });
+      });
+    });
+  });
+})();
@@ -1,14 +1,17 @@
 #!/usr/bin/env node
 
 // 用于导出 MFA 密钥的脚本，便于备份和迁移
+// 默认导出使用当前密钥加密的条目 (导入时需要同一密钥)，--plaintext 导出明文 base32 密钥
 
 const mfa = require('../src/utils/mfa');
 
+const plaintext = process.argv.includes('--plaintext');
+
 console.log('🔐 MFA Secrets Export Tool');
 console.log('===========================\n');
 
 try {
-  const secrets = mfa.exportSecrets();
+  const secrets = mfa.exportSecrets({ plaintext });
   
   if (secrets === '{}') {
     console.log('❌ No MFA secrets found.');
@@ -18,7 +21,11 @@ try {
     console.log('======================');
     console.log(`MFA_SECRETS=${secrets}`);
     console.log('\n📋 Copy the above line to your .env file or docker-compose.yml');
-    console.log('⚠️  Keep these secrets secure - they provide access to your accounts!');
+    if (plaintext) {
+      console.log('⚠️  Keep these secrets secure - they provide access to your accounts!');
+    } else {
+      console.log('🔒 Secrets are encrypted - the same MFA encryption key is required to load them.');
+    }
   }
 } catch (error) {
   console.error('❌ Error exporting MFA secrets:', error.message);
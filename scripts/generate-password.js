@@ -18,6 +18,8 @@ rl.question('Enter username: ', (username) => {
     console.log('\n✅ Generated credentials:');
     console.log('========================');
     console.log(`USER_CREDENTIALS=${username}:${hash}`);
+    console.log('\n👥 For multiple users, join entries with commas:');
+    console.log(`USERS=${username}:${hash},otheruser:<hash>`);
     console.log('\n📋 Copy the above line to your .env file or docker-compose.yml');
     
     rl.close();
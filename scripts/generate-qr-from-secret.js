@@ -1,37 +1,29 @@
 #!/usr/bin/env node
 
 const QRCode = require('qrcode');
-const fs = require('fs');
-const path = require('path');
+const mfa = require('../src/utils/mfa');
 
 async function generateQRFromSecret() {
   console.log('🔐 Generate QR Code from Existing Secret');
   console.log('=====================================\n');
 
-  // Read the MFA secrets file
-  const secretsFile = path.join(__dirname, '../data/mfa-secrets.json');
-  
-  if (!fs.existsSync(secretsFile)) {
-    console.error('❌ MFA secrets file not found:', secretsFile);
-    process.exit(1);
-  }
-
   try {
-    const secrets = JSON.parse(fs.readFileSync(secretsFile, 'utf8'));
+    // 与服务共用同一存储层读取并解密密钥
     const username = process.argv[2] || 'dpa_cn';
     
-    if (!secrets[username]) {
+    if (!mfa.userSecrets.has(username)) {
       console.error(`❌ No MFA secret found for user: ${username}`);
-      console.log('Available users:', Object.keys(secrets));
+      console.log('Available users:', Array.from(mfa.userSecrets.keys()));
       process.exit(1);
     }
 
-    const secret = secrets[username];
+    const secret = mfa.userSecrets.get(username);
     console.log(`📱 User: ${username}`);
     console.log(`🔑 Secret: ${secret}\n`);
 
     // Generate OTPAUTH URL
-    const otpauthUrl = `otpauth://totp/HTTPS%20Proxy%20(${encodeURIComponent(username)})?secret=${secret}&issuer=HTTPS%20Proxy%20Service`;
+    const params = mfa.getTotpParams(username);
+    const otpauthUrl = mfa.buildOtpauthUrl(username, secret, params);
     
     console.log('🔗 OTPAUTH URL:');
     console.log(otpauthUrl);
@@ -54,7 +46,7 @@ async function generateQRFromSecret() {
     console.log('2. Choose "Enter a setup key" or "Manual entry"');
     console.log(`3. Account name: HTTPS Proxy (${username})`);
     console.log(`4. Secret key: ${secret}`);
-    console.log('5. Time-based: Yes (30 seconds)');
+    console.log(`5. Time-based: Yes (${params.period} seconds), algorithm ${params.algorithm.toUpperCase()}, ${params.digits} digits`);
     console.log('6. Save the entry');
 
   } catch (error) {
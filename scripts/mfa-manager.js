@@ -1,33 +1,19 @@
 #!/usr/bin/env node
 
-const fs = require('fs');
-const path = require('path');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
+const mfa = require('../src/utils/mfa');
 
+// 与服务共用同一存储层 (DATA_DIR / STORAGE_BACKEND) 和加密密钥
+// 修改后向运行中的服务发送 SIGHUP 重新加载
 class MFAManager {
-  constructor() {
-    this.secretsFile = path.join(__dirname, '../data/mfa-secrets.json');
-  }
-
   loadSecrets() {
-    if (!fs.existsSync(this.secretsFile)) {
-      return {};
-    }
-    try {
-      return JSON.parse(fs.readFileSync(this.secretsFile, 'utf8'));
-    } catch (error) {
-      console.error('Failed to load secrets:', error.message);
-      return {};
+    if (mfa.undecryptableSecrets.size > 0) {
+      // 不能在无法解密时继续，否则保存会丢失其他用户的密钥
+      console.error('Failed to load secrets: cannot decrypt', Array.from(mfa.undecryptableSecrets.keys()).join(', '));
+      process.exit(1);
     }
-  }
-
-  saveSecrets(secrets) {
-    const dir = path.dirname(this.secretsFile);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(this.secretsFile, JSON.stringify(secrets, null, 2));
+    return Object.fromEntries(mfa.userSecrets);
   }
 
   async listUsers() {
@@ -41,12 +27,9 @@ class MFAManager {
     }
 
     for (const [username, secret] of Object.entries(secrets)) {
-      const currentToken = speakeasy.totp({
-        secret: secret,
-        encoding: 'base32',
-        step: 30
-      });
-      console.log(`📱 ${username}: Current token = ${currentToken}`);
+      const params = mfa.getTotpParams(username);
+      const currentToken = mfa.generateCurrentToken(secret, params);
+      console.log(`📱 ${username}: Current token = ${currentToken} (${params.algorithm.toUpperCase()}, ${params.digits} digits, ${params.period}s, window ±${params.window})`);
     }
   }
 
@@ -59,7 +42,7 @@ class MFAManager {
     }
 
     const secret = secrets[username];
-    const otpauthUrl = `otpauth://totp/HTTPS%20Proxy%20(${encodeURIComponent(username)})?secret=${secret}&issuer=HTTPS%20Proxy%20Service`;
+    const otpauthUrl = mfa.buildOtpauthUrl(username, secret, mfa.getTotpParams(username));
     
     console.log(`🔐 QR Code for ${username}:`);
     console.log('========================');
@@ -75,9 +58,7 @@ class MFAManager {
     console.log(`🔗 OTPAUTH URL: ${otpauthUrl}`);
   }
 
-  async addUser(username, secret = null) {
-    const secrets = this.loadSecrets();
-    
+  async addUser(username, secret = null, params = {}) {
     if (!secret) {
       // Generate new secret
       const generated = speakeasy.generateSecret({
@@ -88,11 +69,12 @@ class MFAManager {
       secret = generated.base32;
     }
 
-    secrets[username] = secret;
-    this.saveSecrets(secrets);
+    this.loadSecrets();
+    const totp = mfa.setSecret(username, secret, params);
     
     console.log(`✅ Added MFA for user: ${username}`);
     console.log(`🔑 Secret: ${secret}`);
+    console.log(`⚙️  ${totp.algorithm.toUpperCase()}, ${totp.digits} digits, ${totp.period} seconds, window ±${totp.window}`);
     
     // Generate QR code
     await this.generateQR(username);
@@ -106,8 +88,7 @@ class MFAManager {
       return;
     }
 
-    delete secrets[username];
-    this.saveSecrets(secrets);
+    mfa.removeSecret(username);
     
     console.log(`✅ Removed MFA for user: ${username}`);
   }
@@ -121,19 +102,10 @@ class MFAManager {
     }
 
     const secret = secrets[username];
-    const isValid = speakeasy.totp.verify({
-      secret: secret,
-      encoding: 'base32',
-      token: token,
-      window: 2,
-      step: 30
-    });
-
-    const expectedToken = speakeasy.totp({
-      secret: secret,
-      encoding: 'base32',
-      step: 30
-    });
+    const params = mfa.getTotpParams(username);
+    const utcTime = Math.floor(Date.now() / 1000);
+    const isValid = mfa.matchTokenStep(secret, token, utcTime, params) !== null;
+    const expectedToken = mfa.totpAt(secret, params, utcTime);
 
     console.log(`🧪 Token Test for ${username}:`);
     console.log('============================');
@@ -145,9 +117,20 @@ class MFAManager {
 
 async function main() {
   const manager = new MFAManager();
-  const command = process.argv[2];
-  const username = process.argv[3];
-  const token = process.argv[4];
+  // --algorithm / --digits / --period / --window 选项 (add 命令使用)
+  const args = process.argv.slice(2);
+  const options = {};
+  ['algorithm', 'digits', 'period', 'window'].forEach(name => {
+    const index = args.indexOf(`--${name}`);
+    if (index >= 0) {
+      options[name] = args[index + 1];
+      args.splice(index, 2);
+    }
+  });
+
+  const command = args[0];
+  const username = args[1];
+  const token = args[2];
 
   switch (command) {
     case 'list':
@@ -164,10 +147,10 @@ async function main() {
     
     case 'add':
       if (!username) {
-        console.error('Usage: node mfa-manager.js add <username> [secret]');
+        console.error('Usage: node mfa-manager.js add <username> [secret] [--algorithm sha1|sha256|sha512] [--digits 6|8] [--period 30] [--window 2]');
         process.exit(1);
       }
-      await manager.addUser(username, token); // token is used as secret here
+      await manager.addUser(username, token, options); // token is used as secret here
       break;
     
     case 'remove':
@@ -194,6 +177,8 @@ async function main() {
       console.log('  list                     - List all users with MFA');
       console.log('  qr <username>           - Generate QR code for user');
       console.log('  add <username> [secret] - Add MFA for user (generates secret if not provided)');
+      console.log('      [--algorithm sha256] [--digits 8] [--period 30] [--window 2]');
+      console.log('                           TOTP parameters (default: TOTP policy for the user)');
       console.log('  remove <username>       - Remove MFA for user');
       console.log('  test <username> <token> - Test a token for user');
       console.log('');
@@ -201,6 +186,7 @@ async function main() {
       console.log('  node mfa-manager.js list');
       console.log('  node mfa-manager.js qr dpa_cn');
       console.log('  node mfa-manager.js test dpa_cn 123456');
+      console.log('  node mfa-manager.js add dpa_cn JBSWY3DPEHPK3PXP --algorithm sha256 --digits 8');
       break;
   }
 }
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+// MFA 密钥加密密钥轮换: 使用新密钥重新加密状态存储中的所有 MFA 密钥 (以及待完成的 MFA 设置)
+//
+// 密钥文件模式 (默认): 生成新版本密钥并设为当前密钥，旧密钥保留用于解密
+// 环境变量模式: 先把新密钥设置为 MFA_ENCRYPTION_KEY (并提升 MFA_ENCRYPTION_KEY_VERSION)，
+//               旧密钥放入 MFA_ENCRYPTION_PREVIOUS_KEYS，再运行此命令
+//
+// 用法: node scripts/rotate-mfa-key.js [--prune]
+//   --prune  不轮换，只删除存储中没有任何条目使用的旧密钥 (仅密钥文件模式，在轮换并重启服务后执行)
+
+const secretBox = require('../src/utils/secret-box');
+const { storage } = require('../src/utils/storage');
+
+// 存储和 MFA_SECRETS 中加密条目使用的密钥版本 (包括无法解密的条目)
+function keyVersionsInUse() {
+  const versions = new Set();
+  const collect = entry => {
+    if (secretBox.isEncrypted(entry)) {
+      versions.add(entry.keyVersion);
+    }
+  };
+
+  Object.values(storage.read('mfa-secrets') || {}).forEach(collect);
+  Object.values(storage.read('mfa-pending-setups') || {}).forEach(setup => collect(setup && setup.secret));
+  if (process.env.MFA_SECRETS) {
+    Object.values(JSON.parse(process.env.MFA_SECRETS)).forEach(collect);
+  }
+  return versions;
+}
+
+// 删除旧密钥: 重新读取存储，仍有条目使用的版本 (例如轮换后未重启的服务写入的条目) 保留
+function prune() {
+  console.log('🔑 MFA Encryption Key Pruning');
+  console.log('=============================\n');
+
+  if (secretBox.managedByEnv) {
+    console.log('ℹ️  Keys are configured via environment variables; remove old keys from MFA_ENCRYPTION_PREVIOUS_KEYS instead.');
+    return;
+  }
+
+  const inUse = keyVersionsInUse();
+  const removed = secretBox.pruneKeys(inUse);
+  const kept = Array.from(secretBox.keys.keys()).sort((a, b) => a - b);
+  console.log(`🗑️  Removed ${removed} unused key(s), kept version(s) ${kept.join(', ')} (current: ${secretBox.currentVersion})`);
+  if (kept.some(version => version !== secretBox.currentVersion)) {
+    console.log('ℹ️  Old keys are still used by stored entries; restart the service (it re-encrypts them on startup) and prune again.');
+  }
+}
+
+function main() {
+  if (process.argv.includes('--prune')) {
+    prune();
+    return;
+  }
+
+  // 加载 MFA 模块时会读取并解密全部条目，只在轮换时加载
+  const mfa = require('../src/utils/mfa');
+
+  console.log('🔑 MFA Encryption Key Rotation');
+  console.log('==============================\n');
+
+  // 加载 MFA 模块时已用现有密钥解密全部条目，任何一个失败都不做修改
+  if (mfa.undecryptableSecrets.size > 0) {
+    console.error(`❌ Cannot decrypt the secret of ${Array.from(mfa.undecryptableSecrets.keys()).join(', ')}`);
+    console.error('   Configure the missing key (MFA_ENCRYPTION_PREVIOUS_KEYS or key file) and try again. Nothing was changed.');
+    process.exit(1);
+  }
+
+  if (secretBox.managedByEnv) {
+    secretBox.ensureKeys();
+    console.log(`Using key version ${secretBox.currentVersion} from MFA_ENCRYPTION_KEY`);
+  } else {
+    const version = secretBox.addKey();
+    console.log(`Generated key version ${version} in ${secretBox.keyFile}`);
+  }
+
+  // 重新加密密钥和待完成的设置
+  if (mfa.userSecrets.size > 0) {
+    mfa.saveSecrets();
+  }
+  if (mfa.pendingSetups.size > 0) {
+    mfa.savePendingSetups();
+  }
+  console.log(`✅ Re-encrypted ${mfa.userSecrets.size} MFA secret(s) with key version ${secretBox.currentVersion}`);
+
+  console.log('\n⚠️  Restart the service so it encrypts new secrets with the new key, then run with --prune to remove old keys.');
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exit(1);
+  }
+}
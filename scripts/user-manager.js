@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+// 用户管理脚本 - 管理数据目录 (DATA_DIR) 中 users.json 的账户
+// 运行中的服务会自动检测文件变化并重新加载，无需重启
+
+const bcrypt = require('bcryptjs');
+const readline = require('readline');
+const users = require('../src/utils/users');
+const loginGuard = require('../src/utils/login-guard');
+
+function promptPassword(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise(resolve => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+function listUsers() {
+  const list = users.listUsers();
+  console.log('👥 Users:');
+  console.log('=========');
+
+  if (list.length === 0) {
+    console.log('No users configured.');
+    return;
+  }
+
+  list.forEach(user => {
+    console.log(`${user.enabled ? '✅' : '🚫'} ${user.username} [${user.roles.join(', ')}] (${user.source})${user.email ? ` <${user.email}>` : ''}`);
+  });
+}
+
+async function addUser(username, password) {
+  if (!password) {
+    password = await promptPassword(`Enter password for ${username}: `);
+  }
+
+  if (!password) {
+    console.error('❌ Password must not be empty');
+    process.exit(1);
+  }
+
+  const existed = !!users.getUser(username);
+  users.setUser(username, { passwordHash: bcrypt.hashSync(password, 10) });
+  console.log(`✅ ${existed ? 'Updated password for' : 'Added'} user: ${username}`);
+}
+
+function setEnabled(username, enabled) {
+  if (!users.setEnabled(username, enabled)) {
+    console.error(`❌ User ${username} not found`);
+    process.exit(1);
+  }
+  console.log(`✅ User ${username} ${enabled ? 'enabled' : 'disabled'}`);
+}
+
+function setRoles(username, roles) {
+  if (!users.setRoles(username, roles)) {
+    console.error(`❌ User ${username} not found`);
+    process.exit(1);
+  }
+  console.log(`✅ Roles for ${username}: ${users.getUser(username).roles.join(', ')}`);
+}
+
+function setEmail(username, email) {
+  if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    console.error(`❌ Invalid email address: ${email}`);
+    process.exit(1);
+  }
+  if (!users.setEmail(username, email)) {
+    console.error(`❌ User ${username} not found`);
+    process.exit(1);
+  }
+  console.log(email ? `✅ Email for ${username}: ${email}` : `✅ Removed email for ${username}`);
+}
+
+function listLocked() {
+  const locked = loginGuard.listLocked();
+  console.log('🔒 Locked accounts and IPs:');
+  console.log('==========================');
+
+  if (locked.length === 0) {
+    console.log('Nothing is locked.');
+    return;
+  }
+
+  locked.forEach(entry => {
+    console.log(`${entry.scope === 'user' ? '👤' : '🌐'} ${entry.target}: ${entry.failures} failures, locked until ${entry.lockedUntil}`);
+  });
+}
+
+function unlock(target) {
+  if (!loginGuard.unlock(target)) {
+    console.error(`❌ No failure records for ${target}`);
+    process.exit(1);
+  }
+  console.log(`✅ Unlocked: ${target}`);
+}
+
+function removeUser(username) {
+  const user = users.getUser(username);
+  if (!user) {
+    console.error(`❌ User ${username} not found`);
+    process.exit(1);
+  }
+
+  users.removeUser(username);
+  console.log(`✅ Removed user: ${username}`);
+
+  if (users.getUser(username)) {
+    console.log('⚠️  User is still defined via USERS / USER_CREDENTIALS environment variable');
+  }
+}
+
+async function main() {
+  const command = process.argv[2];
+  const username = process.argv[3];
+  const password = process.argv[4];
+
+  switch (command) {
+    case 'list':
+      listUsers();
+      break;
+
+    case 'add':
+    case 'passwd':
+      if (!username) {
+        console.error(`Usage: node user-manager.js ${command} <username> [password]`);
+        process.exit(1);
+      }
+      await addUser(username, password);
+      break;
+
+    case 'enable':
+    case 'disable':
+      if (!username) {
+        console.error(`Usage: node user-manager.js ${command} <username>`);
+        process.exit(1);
+      }
+      setEnabled(username, command === 'enable');
+      break;
+
+    case 'roles':
+      if (!username || !password) {
+        console.error('Usage: node user-manager.js roles <username> <role1,role2>');
+        process.exit(1);
+      }
+      setRoles(username, password); // 第三个参数为角色列表
+      break;
+
+    case 'email':
+      if (!username) {
+        console.error('Usage: node user-manager.js email <username> [address]');
+        process.exit(1);
+      }
+      setEmail(username, password); // 第三个参数为邮箱地址，省略时清除
+      break;
+
+    case 'locked':
+      listLocked();
+      break;
+
+    case 'unlock':
+      if (!username) {
+        console.error('Usage: node user-manager.js unlock <username|ip>');
+        process.exit(1);
+      }
+      unlock(username);
+      break;
+
+    case 'remove':
+      if (!username) {
+        console.error('Usage: node user-manager.js remove <username>');
+        process.exit(1);
+      }
+      removeUser(username);
+      break;
+
+    default:
+      console.log('👥 User Manager');
+      console.log('===============');
+      console.log('');
+      console.log('Commands:');
+      console.log('  list                          - List all users');
+      console.log('  add <username> [password]    - Add a user (prompts for password if omitted)');
+      console.log('  passwd <username> [password] - Change a user\'s password');
+      console.log('  enable <username>            - Enable a user');
+      console.log('  disable <username>           - Disable a user');
+      console.log('  roles <username> <roles>     - Set a user\'s roles (comma separated)');
+      console.log('  email <username> [address]   - Set the address for email codes (omit to remove)');
+      console.log('  remove <username>            - Remove a user from users.json');
+      console.log('  locked                       - List locked usernames and IPs');
+      console.log('  unlock <username|ip>         - Clear failure counters and lockout');
+      console.log('');
+      console.log('Examples:');
+      console.log('  node user-manager.js add alice');
+      console.log('  node user-manager.js disable bob');
+      console.log('  node user-manager.js roles alice admin,user');
+      break;
+  }
+}
+
+if (require.main === module) {
+  main().catch(console.error);
+}
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+// 检查安全审计日志的哈希链
+// 记录被修改、删除、插入或调换顺序时报告第一条出错的行；写入时配置了 AUDIT_LOG_KEY 的日志需要同样的密钥
+// 末尾被截断无法从文件本身发现，请把输出的最后哈希保存到其他位置 (如工单或外部日志系统) 以便之后对比
+//
+// 用法: node scripts/verify-audit-log.js [审计日志文件，默认 AUDIT_LOG_FILE 或 /app/logs/audit.log]
+
+const fs = require('fs');
+const { auditLog } = require('../src/utils/audit');
+
+async function main() {
+  const file = process.argv[2] || auditLog.file;
+
+  console.log('🔍 Audit Log Verification');
+  console.log('=========================\n');
+  console.log(`File: ${file}`);
+  console.log(`Mode: ${auditLog.key ? 'HMAC-SHA256 (AUDIT_LOG_KEY)' : 'SHA-256'}\n`);
+
+  if (!fs.existsSync(file)) {
+    console.error(`❌ File not found: ${file}`);
+    process.exit(1);
+  }
+
+  const result = await auditLog.verify(file);
+
+  if (!result.valid) {
+    console.error(`❌ Hash chain broken at line ${result.line}: ${result.error}`);
+    console.error(`   The first ${result.records} record(s) are intact.`);
+    process.exit(1);
+  }
+
+  console.log(`✅ Hash chain intact (${result.records} records)`);
+  console.log(`   Last hash: ${result.lastHash}`);
+}
+
+main().catch(error => {
+  console.error(`❌ Verification failed: ${error.message}`);
+  process.exit(1);
+});
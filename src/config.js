@@ -1,5 +1,7 @@
 // 配置文件 - 处理不同网络模式下的目标地址
 
+const logger = require('./utils/logger');
+
 const HTTP_PORT = parseInt(process.env.HTTP_PORT) || 8080;
 const HTTPS_PORT = HTTP_PORT + 1;
 
@@ -9,6 +11,26 @@ function getProxyTarget() {
   return `http://${targetHost}:${HTTP_PORT}`;
 }
 
+// 信任哪些反向代理传入的 X-Forwarded-For / X-Forwarded-Proto (Express 的 trust proxy 设置)
+// 跳数 (如 1 表示前面有一层代理) 或逗号分隔的地址 / 子网 (如 loopback,10.0.0.0/8)，false 表示不信任
+// 默认只信任本机 (同一主机上的 nginx / Traefik)；直接暴露时客户端无法伪造来源 IP
+function getTrustProxy() {
+  const value = (process.env.TRUST_PROXY || 'loopback').trim();
+
+  if (value === 'false') {
+    return false;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  if (value === 'true') {
+    // 信任任意来源时任何客户端都可以伪造 X-Forwarded-For，绕过按 IP 的速率限制和锁定
+    logger.warn('TRUST_PROXY=true is not supported, use a hop count or trusted subnets. Falling back to loopback');
+    return 'loopback';
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
 // 检测是否在容器中运行
 function isRunningInContainer() {
   try {
@@ -30,5 +52,6 @@ module.exports = {
   HTTPS_PORT,
   getProxyTarget,
   getBindAddress,
+  getTrustProxy,
   isRunningInContainer
 };
\ No newline at end of file
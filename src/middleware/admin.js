@@ -0,0 +1,175 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const mfa = require('../utils/mfa');
+const users = require('../utils/users');
+const loginGuard = require('../utils/login-guard');
+const { auditEvent, getRecentEvents } = require('../utils/audit');
+const { listSessions, destroySession, destroyUserSessions } = require('../utils/sessions');
+
+const router = express.Router();
+
+// 管理员角色
+const ADMIN_ROLE = process.env.ADMIN_ROLE || 'admin';
+
+// 管理控制台 (/auth/admin)
+// 所有操作都先进入确认页面，需要新的 MFA 验证，并记录审计事件
+router.use((req, res, next) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  const user = users.getUser(req.session.user);
+  if (!user || !user.enabled || !user.roles.includes(ADMIN_ROLE)) {
+    logger.warn('Admin console access denied', { user: req.session.user, path: req.path, ip: req.ip });
+    auditEvent('admin_access_denied', { username: req.session.user, ip: req.ip, path: req.path, outcome: 'denied' });
+    return res.status(403).render('admin-denied');
+  }
+
+  req.adminUser = user;
+  next();
+});
+
+// 可执行的管理操作 (确认页面的说明文本为 admin.describe.<操作>)
+const ACTIONS = {
+  'reset-mfa': {
+    run: async target => ({ hadMFA: mfa.resetMFA(target) })
+  },
+  'disable': {
+    run: async (target, req) => {
+      if (target === req.session.user) {
+        throw new Error('You cannot disable your own account');
+      }
+      const user = users.getUser(target);
+      if (user && user.source === 'ldap') {
+        throw new Error('Directory accounts must be disabled in the directory');
+      }
+      if (!users.setEnabled(target, false)) {
+        throw new Error('Unknown user');
+      }
+      return { sessionsRevoked: await destroyUserSessions(req.sessionStore, target) };
+    }
+  },
+  'enable': {
+    run: async target => {
+      if (!users.setEnabled(target, true)) {
+        throw new Error('Unknown user');
+      }
+      return {};
+    }
+  },
+  'unlock': {
+    run: async target => ({ unlocked: loginGuard.unlock(target) })
+  },
+  'revoke-sessions': {
+    run: async (target, req) => ({ sessionsRevoked: await destroyUserSessions(req.sessionStore, target, req.sessionID) })
+  },
+  'revoke-session': {
+    run: async (target, req) => {
+      const entry = (await listSessions(req.sessionStore)).find(({ publicId }) => publicId === target);
+      if (!entry) {
+        throw new Error('Session not found');
+      }
+      await destroySession(req.sessionStore, entry.sid);
+      return { sessionUser: entry.session.user || entry.session.username };
+    }
+  }
+};
+
+// 按名称查找操作 (名称来自请求参数，只接受 ACTIONS 自身的属性，__proto__ / constructor 等不是操作)
+function getAction(name) {
+  return typeof name === 'string' && Object.hasOwn(ACTIONS, name) ? ACTIONS[name] : null;
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : '-';
+}
+
+// 控制台首页: 用户、会话和最近的安全事件
+router.get('/', async (req, res) => {
+  let sessions = [];
+  try {
+    sessions = await listSessions(req.sessionStore);
+  } catch (error) {
+    logger.error('Failed to list sessions', { error: error.message });
+  }
+
+  const locked = new Set(loginGuard.listLocked().map(entry => entry.target));
+  const events = getRecentEvents(50);
+
+  res.set('Cache-Control', 'no-store');
+  res.render('admin', {
+    currentUser: req.session.user,
+    users: users.listUsers().map(user => ({
+      ...user,
+      mfa: mfa.getMFAStatus(user.username),
+      locked: locked.has(user.username),
+      activeSessions: sessions.filter(({ session }) => session.authenticated && session.user === user.username).length
+    })),
+    sessions: sessions
+      .filter(({ session }) => session.authenticated)
+      .map(({ sid, publicId, session }) => ({
+        user: session.user,
+        publicId,
+        current: sid === req.sessionID,
+        loginAt: formatTime(session.loginAt),
+        loginIp: session.loginIp,
+        userAgent: session.userAgent || ''
+      })),
+    events: events.map(event => ({ ...event, time: formatTime(event.timestamp) })),
+    done: typeof req.query.done === 'string' ? req.query.done : '',
+    error: typeof req.query.error === 'string' ? req.query.error : ''
+  });
+});
+
+// 操作确认页面
+router.get('/confirm', (req, res) => {
+  const action = getAction(req.query.action);
+  const target = typeof req.query.target === 'string' ? req.query.target : '';
+  if (!action || !target) {
+    return res.redirect('/auth/admin');
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.render('admin-confirm', {
+    action: req.query.action,
+    target,
+    mfaStatus: mfa.getMFAStatus(req.session.user),
+    error: req.query.error
+  });
+});
+
+// 执行管理操作
+router.post('/actions', async (req, res) => {
+  const actionName = typeof req.body.action === 'string' ? req.body.action : '';
+  const target = typeof req.body.target === 'string' ? req.body.target : '';
+  const action = getAction(actionName);
+  const actor = req.session.user;
+
+  if (!action || !target) {
+    return res.redirect('/auth/admin');
+  }
+
+  // 每个操作都需要新的第二因素确认
+  const confirmation = mfa.confirmFresh(actor, req.body.token, req.session.mfaVerifiedAt);
+  if (!confirmation.success) {
+    if (confirmation.reason === 'token') {
+      loginGuard.recordFailure(actor, req.ip, 'mfa');
+      await loginGuard.delay(actor, req.ip);
+    }
+    auditEvent(`admin_${actionName}`, { actor, target, ip: req.ip, reason: `mfa_${confirmation.reason}`, outcome: 'denied' });
+    return res.redirect(`/auth/admin/confirm?action=${actionName}&target=${encodeURIComponent(target)}&error=${confirmation.reason}`);
+  }
+
+  try {
+    const result = await action.run(target, req);
+    logger.info('Admin action performed', { actor, action: actionName, target, ip: req.ip, ...result });
+    auditEvent(`admin_${actionName}`, { actor, target, ip: req.ip, ...result, outcome: 'success' });
+    res.redirect(`/auth/admin?done=${encodeURIComponent(`${actionName} ${target}`)}`);
+  } catch (error) {
+    logger.warn('Admin action failed', { actor, action: actionName, target, ip: req.ip, error: error.message });
+    auditEvent(`admin_${actionName}`, { actor, target, ip: req.ip, reason: error.message, outcome: 'failure' });
+    res.redirect(`/auth/admin?error=${encodeURIComponent(error.message)}`);
+  }
+});
+
+module.exports = router;
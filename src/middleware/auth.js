@@ -1,34 +1,136 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const path = require('path');
 const logger = require('../utils/logger');
 const mfa = require('../utils/mfa');
+const users = require('../utils/users');
+const loginGuard = require('../utils/login-guard');
+const { auditEvent } = require('../utils/audit');
+const webauthn = require('../utils/webauthn');
+const trustedDevices = require('../utils/trusted-devices');
+const returnUrl = require('../utils/return-url');
+const stepUpRules = require('../utils/step-up-rules');
+const oidc = require('../utils/oidc');
+const ldap = require('../utils/ldap');
+const apiTokens = require('../utils/api-tokens');
+const sessionTimeouts = require('../utils/session-timeouts');
+const emailOtp = require('../utils/email-otp');
+const oneTimeSecrets = require('../utils/one-time-secrets');
+const { destroyUserSessions } = require('../utils/sessions');
 
 const router = express.Router();
 
-// 解析用户凭据
-function parseUserCredentials() {
-  const credentials = process.env.USER_CREDENTIALS;
-  if (!credentials) {
-    logger.error('USER_CREDENTIALS environment variable not set');
-    process.exit(1);
+// 邮件验证码的提示 (?email= 或 ?error=)，显示在 MFA 验证页面的邮件区域
+const EMAIL_NOTICES = ['email_sent', 'email_rate', 'email_failed', 'email_code'];
+
+// 第二因素验证通过，建立已认证会话
+function completeLogin(req, username, method) {
+  loginGuard.recordSuccess(username);
+  req.session.authenticated = true;
+  req.session.user = username;
+  delete req.session.passwordVerified;
+  delete req.session.mfaSetupId;
+
+  // 记录最近一次实际完成第二因素验证的时间 (受信任设备和免 MFA 的单点登录不算)
+  if (method !== 'trusted_device' && method !== 'oidc') {
+    req.session.mfaVerifiedAt = Date.now();
+  }
+
+  // 会话信息 (管理控制台中显示)；空闲锁定后重新验证时保留原登录时间
+  const reauthenticated = Boolean(req.session.idleLocked);
+  sessionTimeouts.complete(req.session);
+  req.session.loginIp = req.ip;
+  req.session.userAgent = String(req.get('User-Agent') || '').slice(0, 200);
+
+  logger.info('Successful MFA authentication', {
+    username,
+    method,
+    reauthenticated,
+    ip: req.ip,
+    sessionId: req.sessionID
+  });
+  auditEvent(reauthenticated ? 'session_reauthenticated' : 'login_success', { username, ip: req.ip, method, outcome: 'success' });
+}
+
+// 暂存只展示一次的秘密，展示页面通过会话中的编号取出 (秘密本身不写入会话存储)
+function stashSecret(req, kind, value) {
+  req.session.pendingSecrets = { ...req.session.pendingSecrets, [kind]: oneTimeSecrets.put(req.session.user, kind, value) };
+}
+
+function takeSecret(req, kind) {
+  const id = req.session.pendingSecrets && req.session.pendingSecrets[kind];
+  if (!id) {
+    return null;
+  }
+  delete req.session.pendingSecrets[kind];
+  return oneTimeSecrets.take(id, req.session.user, kind);
+}
+
+// 验证用户名和密码
+// 本地配置的用户 (USERS / users.json) 只使用本地密码哈希，目录密码不能登录同名的本地账户
+// 目录用户和未知用户在配置了 LDAP 时使用目录验证
+async function verifyCredentials(username, password) {
+  const localUser = users.getUser(username);
+  if (localUser && localUser.source !== 'ldap') {
+    return users.verifyPassword(username, password);
+  }
+
+  if (ldap.enabled) {
+    const result = await ldap.authenticate(username, password);
+
+    if (result.success) {
+      return { success: true, user: users.setDirectoryUser(username, { roles: result.roles, dn: result.dn, email: result.email }) };
+    }
+
+    if (result.reason === 'invalid_password') {
+      return result;
+    }
+    if (result.reason === 'unavailable') {
+      logger.warn('LDAP unavailable, directory users cannot sign in', { username });
+    }
   }
 
-  const [username, passwordHash] = credentials.split(':');
-  if (!username || !passwordHash) {
-    logger.error('Invalid USER_CREDENTIALS format. Expected: username:password_hash');
-    process.exit(1);
+  return users.verifyPassword(username, password);
+}
+
+// 第一因素通过后进入 MFA 设置或验证 (受信任设备跳过 MFA)
+function continueToSecondFactor(req, res, username) {
+  const mfaStatus = mfa.getMFAStatus(username);
+
+  if (!mfaStatus.setupRequired && trustedDevices.verify(username, req)) {
+    completeLogin(req, username, 'trusted_device');
+    return res.redirect(returnUrl.take(req));
   }
 
-  return { username, passwordHash };
+  if (mfaStatus.setupRequired) {
+    res.redirect('/auth/mfa-setup');
+  } else {
+    res.redirect('/auth/mfa-verify');
+  }
 }
 
-const { username: validUsername, passwordHash: validPasswordHash } = parseUserCredentials();
+// 新密码最小长度
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 12;
+
+// 启动时必须至少配置一个用户
+if (users.users.size === 0) {
+  logger.error('No users configured. Set USERS / USER_CREDENTIALS or create users.json in DATA_DIR');
+  process.exit(1);
+}
 
 // 登录页面
 router.get('/login', (req, res) => {
+  // 记录登录完成后的返回地址 (转发认证模式下由反向代理传入)
+  if (req.query.rd) {
+    returnUrl.remember(req, req.query.rd);
+  }
+
   if (req.session.authenticated) {
-    return res.redirect('/');
+    // 转发认证模式下 nginx 把 401 统一交给登录页: 已登录但目标路径要求二次验证时转到二次验证页面
+    const target = returnUrl.take(req);
+    if (stepUpRules.check(new URL(target, 'https://localhost').pathname, 'GET', req.session.mfaVerifiedAt).required) {
+      return res.redirect(`/auth/step-up?rd=${encodeURIComponent(target)}`);
+    }
+    return res.redirect(target);
   }
 
   // 检查是否需要 MFA
@@ -41,206 +143,17 @@ router.get('/login', (req, res) => {
     }
   }
 
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <title>Secure Login - MFA Required</title>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1">
-        <style>
-            body {
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                margin: 0;
-                padding: 0;
-                min-height: 100vh;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-            }
-            .login-container {
-                background: white;
-                padding: 2rem;
-                border-radius: 10px;
-                box-shadow: 0 10px 25px rgba(0,0,0,0.2);
-                width: 100%;
-                max-width: 400px;
-            }
-            .logo {
-                text-align: center;
-                margin-bottom: 2rem;
-            }
-            .logo h1 {
-                color: #333;
-                margin: 0;
-                font-size: 1.8rem;
-            }
-            .form-group {
-                margin-bottom: 1rem;
-            }
-            label {
-                display: block;
-                margin-bottom: 0.5rem;
-                color: #555;
-                font-weight: 500;
-            }
-            input[type="text"], input[type="password"] {
-                width: 100%;
-                padding: 0.75rem;
-                border: 2px solid #ddd;
-                border-radius: 5px;
-                font-size: 1rem;
-                transition: border-color 0.3s;
-                box-sizing: border-box;
-            }
-            input[type="text"]:focus, input[type="password"]:focus {
-                outline: none;
-                border-color: #667eea;
-            }
-            .btn {
-                width: 100%;
-                padding: 0.75rem;
-                background: #667eea;
-                color: white;
-                border: none;
-                border-radius: 5px;
-                font-size: 1rem;
-                cursor: pointer;
-                transition: background 0.3s;
-            }
-            .btn:hover {
-                background: #5a6fd8;
-            }
-            .error {
-                color: #e74c3c;
-                margin-top: 1rem;
-                text-align: center;
-            }
-            .mfa-info {
-                background: #f8f9fa;
-                padding: 1rem;
-                border-radius: 5px;
-                margin-bottom: 1rem;
-                border-left: 4px solid #667eea;
-            }
-            .mfa-info h3 {
-                margin: 0 0 0.5rem 0;
-                color: #333;
-                font-size: 1rem;
-            }
-            .mfa-info p {
-                margin: 0;
-                color: #666;
-                font-size: 0.9rem;
-            }
-        </style>
-    </head>
-    <body>
-        <div class="login-container">
-            <div class="logo">
-                <h1>🔐 Secure Access</h1>
-            </div>
-            
-            <div class="mfa-info">
-                <h3>Multi-Factor Authentication Required</h3>
-                <p>This service is protected by MFA. Please enter your credentials to continue.</p>
-            </div>
-            
-            <form method="POST" action="/auth/login" autocomplete="on">
-                <div class="form-group">
-                    <label for="username">Username</label>
-                    <input 
-                        type="text" 
-                        id="username" 
-                        name="username" 
-                        autocomplete="username"
-                        autocapitalize="none"
-                        spellcheck="false"
-                        required
-                        autofocus>
-                </div>
-                
-                <div class="form-group">
-                    <label for="password">Password</label>
-                    <input 
-                        type="password" 
-                        id="password" 
-                        name="password" 
-                        autocomplete="current-password"
-                        required>
-                </div>
-                
-                <button type="submit" class="btn" id="login-btn">Sign In</button>
-                
-                ${req.query.error ? '<div class="error">Invalid credentials. Please try again.</div>' : ''}
-            </form>
-        </div>
-        
-        <script>
-            // Enhanced keyboard support for login form
-            document.addEventListener('DOMContentLoaded', function() {
-                const form = document.querySelector('form');
-                const usernameInput = document.getElementById('username');
-                const passwordInput = document.getElementById('password');
-                const submitBtn = document.getElementById('login-btn');
-                
-                // Handle Enter key on any input field
-                function handleEnterKey(event) {
-                    if (event.key === 'Enter') {
-                        event.preventDefault();
-                        
-                        // If on username field and it's filled, move to password
-                        if (event.target === usernameInput && usernameInput.value.trim()) {
-                            passwordInput.focus();
-                            return;
-                        }
-                        
-                        // If on password field or username is complete, submit form
-                        if (event.target === passwordInput || 
-                            (event.target === usernameInput && usernameInput.value.trim())) {
-                            if (form.checkValidity()) {
-                                submitBtn.click();
-                            } else {
-                                // Focus first invalid field
-                                const firstInvalid = form.querySelector(':invalid');
-                                if (firstInvalid) firstInvalid.focus();
-                            }
-                        }
-                    }
-                }
-                
-                // Add Enter key listeners
-                usernameInput.addEventListener('keydown', handleEnterKey);
-                passwordInput.addEventListener('keydown', handleEnterKey);
-                
-                // Visual feedback for submit button
-                submitBtn.addEventListener('click', function() {
-                    if (form.checkValidity()) {
-                        submitBtn.textContent = 'Signing In...';
-                        submitBtn.disabled = true;
-                    }
-                });
-                
-                // Prevent double submission
-                form.addEventListener('submit', function(e) {
-                    if (submitBtn.disabled) {
-                        e.preventDefault();
-                        return false;
-                    }
-                    submitBtn.textContent = 'Signing In...';
-                    submitBtn.disabled = true;
-                });
-            });
-        </script>
-    </body>
-    </html>
-  `);
+  res.render('login', {
+    error: req.query.error,
+    returnTo: req.session.returnTo || '',
+    oidcName: oidc.enabled ? oidc.displayName : null
+  });
 });
 
 // 处理登录 (第一步：密码验证)
 router.post('/login', async (req, res) => {
-  const { username, password } = req.body;
+  const { password } = req.body;
+  const username = typeof req.body.username === 'string' ? req.body.username : '';
 
   logger.info('Login attempt', {
     username,
@@ -248,9 +161,30 @@ router.post('/login', async (req, res) => {
     userAgent: req.get('User-Agent')
   });
 
+  // 检查用户名或 IP 是否已被临时锁定 (锁定期间不验证密码)
+  const lockout = loginGuard.check(username, req.ip);
+  if (lockout.locked) {
+    logger.warn('Login rejected: locked out', {
+      username,
+      ip: req.ip,
+      scope: lockout.scope,
+      retryAfter: lockout.retryAfter
+    });
+    auditEvent('login_rejected_locked', { username, ip: req.ip, scope: lockout.scope, outcome: 'denied' });
+    return res.redirect('/auth/login?error=locked');
+  }
+
+  // 登录表单带回的返回地址 (会话中已有时以会话为准)
+  if (req.body.rd && !req.session.returnTo) {
+    returnUrl.remember(req, req.body.rd);
+  }
+
   try {
     // 验证用户名和密码
-    if (username === validUsername && await bcrypt.compare(password, validPasswordHash)) {
+    const result = await verifyCredentials(username, password);
+    if (result.success) {
+      // 失败计数在完成第二因素后才清零 (completeLogin)，重新输入密码不能重置验证码的失败次数
+      sessionTimeouts.unlock(req.session);
       req.session.passwordVerified = true;
       req.session.username = username;
 
@@ -260,19 +194,16 @@ router.post('/login', async (req, res) => {
         sessionId: req.sessionID
       });
 
-      // 检查 MFA 状态
-      const mfaStatus = mfa.getMFAStatus(username);
-      if (mfaStatus.setupRequired) {
-        res.redirect('/auth/mfa-setup');
-      } else {
-        res.redirect('/auth/mfa-verify');
-      }
+      continueToSecondFactor(req, res, username);
     } else {
       logger.warn('Failed login attempt', {
         username,
+        reason: result.reason,
         ip: req.ip
       });
 
+      loginGuard.recordFailure(username, req.ip, 'password');
+      await loginGuard.delay(username, req.ip);
       res.redirect('/auth/login?error=1');
     }
   } catch (error) {
@@ -286,263 +217,123 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// OIDC 登录: 跳转到身份提供方
+router.get('/oidc/login', async (req, res) => {
+  if (!oidc.enabled) {
+    return res.status(404).send('OIDC login is not configured');
+  }
+
+  try {
+    const { url, pending } = await oidc.createAuthorizationRequest(req);
+    req.session.oidc = pending;
+    res.redirect(url);
+  } catch (error) {
+    logger.error('OIDC authorization request failed', { error: error.message, ip: req.ip });
+    res.redirect('/auth/login?error=oidc');
+  }
+});
+
+// OIDC 回调: 验证 ID Token 后作为第一因素，之后仍然执行 MFA
+router.get('/oidc/callback', async (req, res) => {
+  if (!oidc.enabled) {
+    return res.status(404).send('OIDC login is not configured');
+  }
+
+  const pending = req.session.oidc;
+  delete req.session.oidc;
+
+  let claims;
+  try {
+    claims = await oidc.handleCallback(req, pending);
+  } catch (error) {
+    logger.warn('OIDC login failed', { error: error.message, ip: req.ip });
+    auditEvent('oidc_login_failure', { ip: req.ip, reason: error.message, outcome: 'failure' });
+    return res.redirect('/auth/login?error=oidc');
+  }
+
+  const result = oidc.resolveUser(claims);
+  if (!result.success) {
+    logger.warn('OIDC login rejected', { subject: claims.sub, username: result.username, reason: result.reason, ip: req.ip });
+    auditEvent('oidc_login_failure', { username: result.username, ip: req.ip, reason: result.reason, outcome: 'denied' });
+    return res.redirect('/auth/login?error=oidc');
+  }
+
+  const username = result.user.username;
+  if (result.linked) {
+    auditEvent('oidc_account_linked', { username, ip: req.ip, issuer: claims.iss, subject: claims.sub, provisioned: result.provisioned, outcome: 'success' });
+  }
+  if (result.roleChange) {
+    auditEvent('oidc_roles_synced', { username, ip: req.ip, from: result.roleChange.from, to: result.roleChange.to, outcome: 'success' });
+  }
+
+  const lockout = loginGuard.check(username, req.ip);
+  if (lockout.locked) {
+    auditEvent('login_rejected_locked', { username, ip: req.ip, scope: lockout.scope, outcome: 'denied' });
+    return res.redirect('/auth/login?error=locked');
+  }
+
+  sessionTimeouts.unlock(req.session);
+  req.session.passwordVerified = true;
+  req.session.username = username;
+
+  logger.info('OIDC first factor successful', {
+    username,
+    subject: claims.sub,
+    ip: req.ip,
+    sessionId: req.sessionID
+  });
+  auditEvent('oidc_login', { username, subject: claims.sub, ip: req.ip, outcome: 'success' });
+
+  // 身份提供方已负责多因素时可配置跳过，但已注册 MFA 的用户仍需验证
+  if (!oidc.requireMfa && mfa.getMFAStatus(username).setupRequired) {
+    completeLogin(req, username, 'oidc');
+    return res.redirect(returnUrl.take(req));
+  }
+
+  continueToSecondFactor(req, res, username);
+});
+
 // MFA 设置页面
 router.get('/mfa-setup', async (req, res) => {
   if (!req.session.passwordVerified) {
     return res.redirect('/auth/login');
   }
 
+  // 已启用 MFA 的用户必须先通过验证，不能重新设置
+  if (!mfa.getMFAStatus(req.session.username).setupRequired) {
+    return res.redirect('/auth/mfa-verify');
+  }
+
   try {
-    let setupId, qrCodeUrl;
+    let setupId, qrCodeUrl, totp;
 
     // 检查是否已有活跃的设置会话
-    if (req.session.mfaSetupId && mfa.pendingSetups.has(req.session.mfaSetupId)) {
-      // 使用现有的设置
+    const existingSetup = req.session.mfaSetupId && mfa.getPendingSetup(req.session.mfaSetupId);
+    if (existingSetup && existingSetup.username === req.session.username) {
+      // 使用现有的设置 (服务重启后仍然有效)
       setupId = req.session.mfaSetupId;
-      const setup = mfa.pendingSetups.get(setupId);
-      qrCodeUrl = `otpauth://totp/HTTPS%20Proxy%20(${setup.username})?secret=${setup.secret}&issuer=HTTPS%20Proxy%20Service`;
+      const setup = existingSetup;
+      totp = setup.totp || mfa.getTotpParams(setup.username);
+      qrCodeUrl = mfa.buildOtpauthUrl(setup.username, setup.secret, totp);
       logger.info('Reusing existing MFA setup', { setupId, username: req.session.username });
     } else {
       // 生成新的设置
       const result = mfa.generateSecret(req.session.username);
       setupId = result.setupId;
       qrCodeUrl = result.qrCodeUrl;
+      totp = mfa.getPendingSetup(setupId).totp;
       req.session.mfaSetupId = setupId;
       logger.info('Generated new MFA setup', { setupId, username: req.session.username });
     }
 
     const qrCodeImage = await mfa.generateQRCode(qrCodeUrl);
 
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-          <title>Setup Multi-Factor Authentication</title>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1">
-          <style>
-              body {
-                  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                  margin: 0;
-                  padding: 0;
-                  min-height: 100vh;
-                  display: flex;
-                  align-items: center;
-                  justify-content: center;
-              }
-              .setup-container {
-                  background: white;
-                  padding: 2rem;
-                  border-radius: 10px;
-                  box-shadow: 0 10px 25px rgba(0,0,0,0.2);
-                  width: 100%;
-                  max-width: 500px;
-                  text-align: center;
-              }
-              .logo h1 {
-                  color: #333;
-                  margin: 0 0 2rem 0;
-                  font-size: 1.8rem;
-              }
-              .qr-code {
-                  margin: 2rem 0;
-                  padding: 1rem;
-                  background: #f8f9fa;
-                  border-radius: 10px;
-              }
-              .qr-code img {
-                  max-width: 200px;
-                  height: auto;
-              }
-              .instructions {
-                  text-align: left;
-                  background: #e3f2fd;
-                  padding: 1.5rem;
-                  border-radius: 8px;
-                  margin: 1rem 0;
-                  border-left: 4px solid #2196f3;
-              }
-              .instructions h3 {
-                  margin: 0 0 1rem 0;
-                  color: #1976d2;
-              }
-              .instructions ol {
-                  margin: 0;
-                  padding-left: 1.2rem;
-              }
-              .instructions li {
-                  margin-bottom: 0.5rem;
-                  color: #333;
-              }
-              .form-group {
-                  margin: 1.5rem 0;
-                  text-align: left;
-              }
-              label {
-                  display: block;
-                  margin-bottom: 0.5rem;
-                  color: #555;
-                  font-weight: 500;
-              }
-              input[type="text"] {
-                  width: 100%;
-                  padding: 0.75rem;
-                  border: 2px solid #ddd;
-                  border-radius: 5px;
-                  font-size: 1rem;
-                  text-align: center;
-                  letter-spacing: 0.2em;
-                  box-sizing: border-box;
-              }
-              input[type="text"]:focus {
-                  outline: none;
-                  border-color: #667eea;
-              }
-              .btn {
-                  width: 100%;
-                  padding: 0.75rem;
-                  background: #667eea;
-                  color: white;
-                  border: none;
-                  border-radius: 5px;
-                  font-size: 1rem;
-                  cursor: pointer;
-                  transition: background 0.3s;
-              }
-              .btn:hover {
-                  background: #5a6fd8;
-              }
-              .error {
-                  color: #e74c3c;
-                  margin-top: 1rem;
-                  text-align: center;
-              }
-          </style>
-      </head>
-      <body>
-          <div class="setup-container">
-              <div class="logo">
-                  <h1>🔐 Setup Multi-Factor Authentication</h1>
-              </div>
-              
-              <div class="instructions">
-                  <h3>📱 Setup Instructions</h3>
-                  <ol>
-                      <li>Install an authenticator app (Google Authenticator, Authy, etc.)</li>
-                      <li>Scan the QR code below with your authenticator app</li>
-                      <li><strong>Wait for the code to refresh</strong> in your app (codes change every 30 seconds)</li>
-                      <li>Enter the current 6-digit code from your app to complete setup</li>
-                  </ol>
-                  <div style="background: #fff3cd; padding: 0.75rem; border-radius: 4px; margin-top: 1rem; border: 1px solid #ffeaa7;">
-                      <strong>⏰ Important:</strong> Make sure your device time is synchronized. If setup fails, wait for the next code (30 seconds) and try again.
-                  </div>
-              </div>
-              
-              <div class="qr-code">
-                  <img src="${qrCodeImage}" alt="QR Code for MFA Setup">
-                  <div style="margin-top: 1rem; padding: 1rem; background: #f8f9fa; border-radius: 5px; border: 1px solid #dee2e6;">
-                      <details>
-                          <summary style="cursor: pointer; color: #667eea; font-weight: 500;">Can't scan QR code? Click for manual setup</summary>
-                          <div style="margin-top: 1rem; font-family: monospace; word-break: break-all; background: white; padding: 0.5rem; border-radius: 3px; border: 1px solid #ddd;">
-                              ${setupId ? mfa.pendingSetups.get(setupId)?.secret || 'Secret not found' : 'No setup session'}
-                          </div>
-                          <small style="color: #666; display: block; margin-top: 0.5rem;">
-                              Copy this secret key into your authenticator app manually
-                          </small>
-                      </details>
-                  </div>
-              </div>
-              
-              <form method="POST" action="/auth/mfa-setup" autocomplete="on">
-                  <div class="form-group">
-                      <label for="token">Enter 6-digit code from your authenticator app:</label>
-                      <input 
-                          type="text" 
-                          id="token" 
-                          name="token" 
-                          maxlength="6" 
-                          pattern="[0-9]{6}"
-                          autocomplete="one-time-code"
-                          autocapitalize="none"
-                          spellcheck="false"
-                          inputmode="numeric"
-                          required
-                          autofocus>
-                  </div>
-                  
-                  <button type="submit" class="btn" id="setup-btn">Complete Setup</button>
-                  
-                  ${req.query.error ? '<div class="error">Invalid code. Please try again.</div>' : ''}
-              </form>
-          </div>
-          
-          <script>
-              // Enhanced keyboard support for MFA setup form
-              document.addEventListener('DOMContentLoaded', function() {
-                  const form = document.querySelector('form');
-                  const tokenInput = document.getElementById('token');
-                  const submitBtn = document.getElementById('setup-btn');
-                  
-                  // Handle Enter key submission
-                  tokenInput.addEventListener('keydown', function(event) {
-                      if (event.key === 'Enter') {
-                          event.preventDefault();
-                          if (tokenInput.value.length === 6 && /^[0-9]{6}$/.test(tokenInput.value)) {
-                              submitBtn.click();
-                          } else {
-                              // Visual feedback for invalid input
-                              tokenInput.style.borderColor = '#e74c3c';
-                              setTimeout(() => {
-                                  tokenInput.style.borderColor = '';
-                              }, 1000);
-                          }
-                      }
-                  });
-                  
-                  // Auto-format token input (remove non-digits, limit to 6)
-                  tokenInput.addEventListener('input', function(event) {
-                      let value = event.target.value.replace(/\D/g, '');
-                      if (value.length > 6) value = value.slice(0, 6);
-                      event.target.value = value;
-                      
-                      // Auto-submit when 6 digits are entered
-                      if (value.length === 6) {
-                          setTimeout(() => {
-                              if (document.activeElement === tokenInput) {
-                                  submitBtn.click();
-                              }
-                          }, 500); // Small delay for user to see the complete code
-                      }
-                  });
-                  
-                  // Visual feedback for submit button
-                  submitBtn.addEventListener('click', function() {
-                      if (form.checkValidity() && tokenInput.value.length === 6) {
-                          submitBtn.textContent = 'Verifying...';
-                          submitBtn.disabled = true;
-                      }
-                  });
-                  
-                  // Prevent double submission
-                  form.addEventListener('submit', function(e) {
-                      if (submitBtn.disabled) {
-                          e.preventDefault();
-                          return false;
-                      }
-                      if (tokenInput.value.length === 6) {
-                          submitBtn.textContent = 'Verifying...';
-                          submitBtn.disabled = true;
-                      }
-                  });
-                  
-                  // Focus token input on page load
-                  tokenInput.focus();
-              });
-          </script>
-      </body>
-      </html>
-    `);
+    res.render('mfa-setup', {
+      totp,
+      qrCodeImage,
+      secret: mfa.getPendingSetup(setupId)?.secret,
+      error: req.query.error
+    });
   } catch (error) {
     logger.error('MFA setup error', { error: error.message, username: req.session.username });
     res.status(500).send('Internal Server Error');
@@ -555,7 +346,7 @@ router.post('/mfa-setup', (req, res) => {
     passwordVerified: req.session.passwordVerified,
     mfaSetupId: req.session.mfaSetupId,
     username: req.session.username,
-    body: req.body
+    ip: req.ip
   });
 
   if (!req.session.passwordVerified || !req.session.mfaSetupId) {
@@ -566,27 +357,30 @@ router.post('/mfa-setup', (req, res) => {
     return res.redirect('/auth/login');
   }
 
+  if (!mfa.getMFAStatus(req.session.username).setupRequired) {
+    logger.warn('MFA setup: user already has MFA configured', { username: req.session.username, ip: req.ip });
+    return res.redirect('/auth/mfa-verify');
+  }
+
   const { token } = req.body;
   logger.info('Attempting MFA setup completion', {
     setupId: req.session.mfaSetupId,
-    token: token,
     username: req.session.username
   });
 
   const result = mfa.completeMFASetup(req.session.mfaSetupId, token);
 
   if (result.success) {
-    req.session.authenticated = true;
-    req.session.user = req.session.username;
-    delete req.session.passwordVerified;
-    delete req.session.mfaSetupId;
+    const username = req.session.username;
+    logger.info('MFA setup completed', { username, ip: req.ip });
 
-    logger.info('MFA setup completed and user authenticated', {
-      username: req.session.username,
-      ip: req.ip
-    });
+    // 首次设置 MFA：完成登录 (与验证流程相同的会话状态和审计记录)，然后展示恢复码
+    auditEvent('mfa_enrolled', { username, ip: req.ip, method: 'totp', outcome: 'success' });
+    completeLogin(req, username, 'totp');
 
-    res.redirect('/');
+    // 恢复码只展示一次
+    stashSecret(req, 'recovery_codes', result.recoveryCodes);
+    res.redirect('/auth/recovery-codes');
   } else {
     logger.warn('MFA setup failed', {
       username: req.session.username,
@@ -604,237 +398,34 @@ router.get('/mfa-verify', (req, res) => {
     return res.redirect('/auth/login');
   }
 
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <title>Multi-Factor Authentication</title>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1">
-        <style>
-            body {
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                margin: 0;
-                padding: 0;
-                min-height: 100vh;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-            }
-            .verify-container {
-                background: white;
-                padding: 2rem;
-                border-radius: 10px;
-                box-shadow: 0 10px 25px rgba(0,0,0,0.2);
-                width: 100%;
-                max-width: 400px;
-            }
-            .logo {
-                text-align: center;
-                margin-bottom: 2rem;
-            }
-            .logo h1 {
-                color: #333;
-                margin: 0;
-                font-size: 1.8rem;
-            }
-            .mfa-info {
-                background: #f8f9fa;
-                padding: 1rem;
-                border-radius: 5px;
-                margin-bottom: 2rem;
-                border-left: 4px solid #28a745;
-                text-align: center;
-            }
-            .mfa-info h3 {
-                margin: 0 0 0.5rem 0;
-                color: #333;
-                font-size: 1rem;
-            }
-            .mfa-info p {
-                margin: 0;
-                color: #666;
-                font-size: 0.9rem;
-            }
-            .form-group {
-                margin-bottom: 1rem;
-            }
-            label {
-                display: block;
-                margin-bottom: 0.5rem;
-                color: #555;
-                font-weight: 500;
-            }
-            input[type="text"] {
-                width: 100%;
-                padding: 0.75rem;
-                border: 2px solid #ddd;
-                border-radius: 5px;
-                font-size: 1.2rem;
-                text-align: center;
-                letter-spacing: 0.3em;
-                box-sizing: border-box;
-            }
-            input[type="text"]:focus {
-                outline: none;
-                border-color: #667eea;
-            }
-            .btn {
-                width: 100%;
-                padding: 0.75rem;
-                background: #28a745;
-                color: white;
-                border: none;
-                border-radius: 5px;
-                font-size: 1rem;
-                cursor: pointer;
-                transition: background 0.3s;
-            }
-            .btn:hover {
-                background: #218838;
-            }
-            .error {
-                color: #e74c3c;
-                margin-top: 1rem;
-                text-align: center;
-            }
-            .back-link {
-                text-align: center;
-                margin-top: 1rem;
-            }
-            .back-link a {
-                color: #667eea;
-                text-decoration: none;
-                font-size: 0.9rem;
-            }
-        </style>
-    </head>
-    <body>
-        <div class="verify-container">
-            <div class="logo">
-                <h1>🔐 Two-Factor Authentication</h1>
-            </div>
-            
-            <div class="mfa-info">
-                <h3>✅ Password Verified</h3>
-                <p>Please enter the 6-digit code from your authenticator app</p>
-                <p><small>Codes change every 30 seconds</small></p>
-            </div>
-            
-            <form method="POST" action="/auth/mfa-verify" autocomplete="on">
-                <div class="form-group">
-                    <label for="token">Authentication Code:</label>
-                    <input 
-                        type="text" 
-                        id="token" 
-                        name="token" 
-                        maxlength="6" 
-                        pattern="[0-9]{6}"
-                        autocomplete="one-time-code"
-                        autocapitalize="none"
-                        spellcheck="false"
-                        inputmode="numeric"
-                        required 
-                        autofocus>
-                </div>
-                
-                <button type="submit" class="btn" id="verify-btn">Verify & Sign In</button>
-                
-                ${req.query.error ? '<div class="error">Invalid or expired code. Please try again.</div>' : ''}
-            </form>
-            
-            <div class="back-link">
-                <a href="/auth/login">← Back to login</a>
-            </div>
-        </div>
-        
-        <script>
-            // Enhanced keyboard support for MFA verification form
-            document.addEventListener('DOMContentLoaded', function() {
-                const form = document.querySelector('form');
-                const tokenInput = document.getElementById('token');
-                const submitBtn = document.getElementById('verify-btn');
-                
-                // Handle Enter key submission
-                tokenInput.addEventListener('keydown', function(event) {
-                    if (event.key === 'Enter') {
-                        event.preventDefault();
-                        if (tokenInput.value.length === 6 && /^[0-9]{6}$/.test(tokenInput.value)) {
-                            submitBtn.click();
-                        } else {
-                            // Visual feedback for invalid input
-                            tokenInput.style.borderColor = '#e74c3c';
-                            setTimeout(() => {
-                                tokenInput.style.borderColor = '';
-                            }, 1000);
-                        }
-                    }
-                });
-                
-                // Auto-format token input (remove non-digits, limit to 6)
-                tokenInput.addEventListener('input', function(event) {
-                    let value = event.target.value.replace(/\D/g, '');
-                    if (value.length > 6) value = value.slice(0, 6);
-                    event.target.value = value;
-                    
-                    // Auto-submit when 6 digits are entered
-                    if (value.length === 6) {
-                        setTimeout(() => {
-                            if (document.activeElement === tokenInput) {
-                                submitBtn.click();
-                            }
-                        }, 500); // Small delay for user to see the complete code
-                    }
-                });
-                
-                // Visual feedback for submit button
-                submitBtn.addEventListener('click', function() {
-                    if (form.checkValidity() && tokenInput.value.length === 6) {
-                        submitBtn.textContent = 'Verifying...';
-                        submitBtn.disabled = true;
-                    }
-                });
-                
-                // Prevent double submission
-                form.addEventListener('submit', function(e) {
-                    if (submitBtn.disabled) {
-                        e.preventDefault();
-                        return false;
-                    }
-                    if (tokenInput.value.length === 6) {
-                        submitBtn.textContent = 'Verifying...';
-                        submitBtn.disabled = true;
-                    }
-                });
-                
-                // Auto-refresh page every 30 seconds to get new expected token time
-                let refreshTimer = setTimeout(function() {
-                    if (!submitBtn.disabled) { // Only refresh if not currently submitting
-                        window.location.reload();
-                    }
-                }, 30000);
-                
-                // Clear timer if user interacts with form
-                tokenInput.addEventListener('input', function() {
-                    clearTimeout(refreshTimer);
-                });
-                
-                // Focus token input on page load
-                tokenInput.focus();
-            });
-        </script>
-    </body>
-    </html>
-  `);
+  const mfaStatus = mfa.getMFAStatus(req.session.username);
+  const emailCodeSent = mfaStatus.email && emailOtp.hasPendingCode(req.session.username);
+
+  res.render('mfa-verify', {
+    mfaStatus,
+    idleLocked: Boolean(req.session.idleLocked),
+    idleMinutes: Math.round(sessionTimeouts.idleMs / 60000),
+    username: req.session.username,
+    trustedDays: trustedDevices.enabled ? trustedDevices.days : null,
+    emailCodeSent,
+    emailDigits: emailOtp.digits,
+    emailNotices: EMAIL_NOTICES,
+    notice: req.query.email || req.query.error,
+    maskedEmail: mfaStatus.email ? emailOtp.maskEmail(emailOtp.getEmail(req.session.username)) : '',
+    retry: parseInt(req.query.retry) || 60,
+    error: req.query.error
+  });
 });
 
 // 处理 MFA 验证
-router.post('/mfa-verify', (req, res) => {
+router.post('/mfa-verify', async (req, res) => {
+  // 只记录提交的验证方式，不记录验证码、恢复码和 CSRF 令牌
   logger.info('MFA verify POST request', {
     passwordVerified: req.session.passwordVerified,
     username: req.session.username,
-    body: req.body
+    method: req.body.recoveryCode ? 'recovery_code' : (req.body.emailCode ? 'email_otp' : 'totp'),
+    trustDevice: Boolean(req.body.trustDevice),
+    ip: req.ip
   });
 
   if (!req.session.passwordVerified) {
@@ -842,37 +433,502 @@ router.post('/mfa-verify', (req, res) => {
     return res.redirect('/auth/login');
   }
 
-  const { token } = req.body;
+  const token = typeof req.body.token === 'string' ? req.body.token : '';
+  const recoveryCode = typeof req.body.recoveryCode === 'string' ? req.body.recoveryCode.trim() : '';
+  const emailCode = typeof req.body.emailCode === 'string' ? req.body.emailCode.trim() : '';
   const username = req.session.username;
 
-  logger.info('Attempting MFA token verification', {
-    username,
-    token: token,
-    ip: req.ip
-  });
+  const lockout = loginGuard.check(username, req.ip);
+  if (lockout.locked) {
+    logger.warn('MFA verification rejected: locked out', {
+      username,
+      ip: req.ip,
+      scope: lockout.scope,
+      retryAfter: lockout.retryAfter
+    });
+    auditEvent('mfa_rejected_locked', { username, ip: req.ip, scope: lockout.scope, outcome: 'denied' });
+    return res.redirect('/auth/mfa-verify?error=locked');
+  }
 
-  if (mfa.verifyToken(username, token)) {
-    req.session.authenticated = true;
-    req.session.user = username;
-    delete req.session.passwordVerified;
+  let verified;
+  let recoveryResult = null;
+  let method = 'totp';
 
-    logger.info('Successful MFA authentication', {
+  if (recoveryCode) {
+    // 使用一次性恢复码代替 TOTP
+    method = 'recovery_code';
+    recoveryResult = mfa.verifyRecoveryCode(username, recoveryCode);
+    verified = recoveryResult.success;
+  } else if (emailCode) {
+    // 邮件验证码 (备用因素)，还需要设置 MFA 的用户不能用它代替设置
+    const mfaStatus = mfa.getMFAStatus(username);
+    method = 'email_otp';
+    verified = !mfaStatus.setupRequired && mfaStatus.email && emailOtp.verify(username, emailCode);
+  } else {
+    logger.info('Attempting MFA token verification', {
       username,
-      ip: req.ip,
-      sessionId: req.sessionID
+      ip: req.ip
     });
+    verified = mfa.verifyToken(username, token);
+  }
+
+  if (verified) {
+    completeLogin(req, username, method);
+
+    // 用户选择信任此浏览器 (只有 TOTP 表单提供此选项)
+    if (method === 'totp' && req.body.trustDevice) {
+      const device = trustedDevices.trust(username, req, res);
+      if (device) {
+        auditEvent('trusted_device_added', { username, ip: req.ip, deviceId: device.id, outcome: 'success' });
+      }
+    }
+
+    if (recoveryResult) {
+      auditEvent('recovery_code_used', {
+        username,
+        ip: req.ip,
+        remaining: recoveryResult.remaining,
+        outcome: 'success'
+      });
+
+      // 提示剩余恢复码数量
+      req.session.recoveryCodeUsed = true;
+      return res.redirect('/auth/recovery-codes');
+    }
 
-    res.redirect('/');
+    res.redirect(returnUrl.take(req));
   } else {
     logger.warn('Failed MFA verification', {
       username,
+      method,
       ip: req.ip
     });
 
-    res.redirect('/auth/mfa-verify?error=1');
+    loginGuard.recordFailure(username, req.ip, 'mfa');
+    await loginGuard.delay(username, req.ip);
+    res.redirect(method === 'email_otp' ? '/auth/mfa-verify?error=email_code' : '/auth/mfa-verify?error=1');
   }
 });
 
+// 发送邮件验证码 (备用第二因素)
+router.post('/mfa-verify/email', async (req, res) => {
+  if (!req.session.passwordVerified) {
+    return res.redirect('/auth/login');
+  }
+
+  const username = req.session.username;
+  const mfaStatus = mfa.getMFAStatus(username);
+  if (mfaStatus.setupRequired || !mfaStatus.email) {
+    return res.redirect('/auth/mfa-verify');
+  }
+
+  const lockout = loginGuard.check(username, req.ip);
+  if (lockout.locked) {
+    auditEvent('mfa_rejected_locked', { username, ip: req.ip, scope: lockout.scope, outcome: 'denied' });
+    return res.redirect('/auth/mfa-verify?error=locked');
+  }
+
+  const result = await emailOtp.send(username);
+  if (result.success) {
+    auditEvent('email_otp_sent', { username, ip: req.ip, outcome: 'success' });
+    return res.redirect('/auth/mfa-verify?email=email_sent');
+  }
+
+  if (result.reason === 'rate_limited') {
+    auditEvent('email_otp_rate_limited', { username, ip: req.ip, retryAfter: result.retryAfter, outcome: 'denied' });
+    return res.redirect(`/auth/mfa-verify?error=email_rate&retry=${result.retryAfter}`);
+  }
+
+  auditEvent('email_otp_send_failed', { username, ip: req.ip, reason: result.reason, outcome: 'failure' });
+  res.redirect('/auth/mfa-verify?error=email_failed');
+});
+
+// 恢复码页面 (设置完成后展示一次新恢复码，或查看剩余数量并重新生成)
+router.get('/recovery-codes', (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  const username = req.session.user;
+  const newCodes = takeSecret(req, 'recovery_codes');
+  const codeUsed = req.session.recoveryCodeUsed;
+  delete req.session.recoveryCodeUsed;
+
+  res.set('Cache-Control', 'no-store');
+  res.render('recovery-codes', {
+    newCodes,
+    codeUsed,
+    remaining: mfa.getRecoveryCodeCount(username),
+    continueUrl: returnUrl.take(req)
+  });
+});
+
+// 重新生成恢复码
+router.post('/recovery-codes', (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  const username = req.session.user;
+  stashSecret(req, 'recovery_codes', mfa.generateRecoveryCodes(username));
+  auditEvent('recovery_codes_regenerated', { username, ip: req.ip, outcome: 'success' });
+
+  res.redirect('/auth/recovery-codes');
+});
+
+// WebAuthn 注册选项 (MFA 设置流程中或已登录用户添加新认证器)
+router.post('/webauthn/register/options', async (req, res) => {
+  const username = req.session.authenticated ? req.session.user : (req.session.passwordVerified && req.session.username);
+  if (!username) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  // 设置流程中只允许尚未启用 MFA 的用户注册 (已启用的用户需要先完成验证)
+  if (!req.session.authenticated && !mfa.getMFAStatus(username).setupRequired) {
+    return res.status(403).json({ success: false, error: 'MFA already configured' });
+  }
+
+  // 已登录用户添加认证器需要新的第二因素确认 (TOTP 验证码，或只有安全密钥时最近完成的 MFA 验证)
+  if (req.session.authenticated) {
+    const lockout = loginGuard.check(username, req.ip);
+    if (lockout.locked) {
+      auditEvent('webauthn_register', { username, ip: req.ip, reason: 'locked', outcome: 'denied' });
+      return res.status(429).json({ success: false, error: 'Too many failed attempts. Please try again later.' });
+    }
+
+    const token = typeof req.body.token === 'string' ? req.body.token : '';
+    const confirmation = mfa.confirmFresh(username, token, req.session.mfaVerifiedAt);
+    if (!confirmation.success) {
+      if (confirmation.reason === 'token') {
+        loginGuard.recordFailure(username, req.ip, 'mfa');
+        await loginGuard.delay(username, req.ip);
+      }
+      auditEvent('webauthn_register', { username, ip: req.ip, reason: confirmation.reason === 'token' ? 'invalid_token' : 'reauth', outcome: 'failure' });
+      return res.status(403).json({
+        success: false,
+        error: confirmation.reason === 'token'
+          ? 'Invalid or already used authentication code.'
+          : 'Please sign in again with your security key before adding another one.'
+      });
+    }
+  }
+
+  try {
+    const options = await webauthn.generateRegistrationOptions(username, req);
+    // 注册使用单独的挑战，登录或二次验证的挑战不能用于注册
+    req.session.webauthnRegisterChallenge = options.challenge;
+    res.json(options);
+  } catch (error) {
+    logger.error('WebAuthn registration options error', { error: error.message, username });
+    res.status(500).json({ success: false, error: 'Unable to start registration' });
+  }
+});
+
+// 验证 WebAuthn 注册
+router.post('/webauthn/register/verify', async (req, res) => {
+  const authenticated = !!req.session.authenticated;
+  const username = authenticated ? req.session.user : (req.session.passwordVerified && req.session.username);
+  const expectedChallenge = req.session.webauthnRegisterChallenge;
+  delete req.session.webauthnRegisterChallenge;
+
+  if (!username || !expectedChallenge) {
+    return res.status(401).json({ success: false, error: 'Registration session expired' });
+  }
+
+  if (!authenticated && !mfa.getMFAStatus(username).setupRequired) {
+    return res.status(403).json({ success: false, error: 'MFA already configured' });
+  }
+
+  const result = await webauthn.verifyRegistration(username, req.body.response, expectedChallenge, req, req.body.name);
+  if (!result.success) {
+    logger.warn('WebAuthn registration failed', { username, error: result.error, ip: req.ip });
+    return res.status(400).json({ success: false, error: 'Registration failed. Please try again.' });
+  }
+
+  auditEvent('webauthn_registered', { username, ip: req.ip, credentialId: result.credentialId, outcome: 'success' });
+
+  if (authenticated) {
+    return res.json({ success: true, redirect: '/auth/webauthn' });
+  }
+
+  // 首次设置 MFA：完成登录并生成恢复码
+  auditEvent('mfa_enrolled', { username, ip: req.ip, method: 'webauthn', outcome: 'success' });
+  completeLogin(req, username, 'webauthn');
+
+  if (mfa.getRecoveryCodeCount(username) === 0) {
+    stashSecret(req, 'recovery_codes', mfa.generateRecoveryCodes(username));
+    return res.json({ success: true, redirect: '/auth/recovery-codes' });
+  }
+  res.json({ success: true, redirect: returnUrl.take(req) });
+});
+
+// WebAuthn 认证选项
+router.post('/webauthn/authenticate/options', async (req, res) => {
+  const username = req.session.passwordVerified && req.session.username;
+  if (!username || !webauthn.hasCredentials(username)) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    const options = await webauthn.generateAuthenticationOptions(username, req);
+    req.session.webauthnChallenge = options.challenge;
+    res.json(options);
+  } catch (error) {
+    logger.error('WebAuthn authentication options error', { error: error.message, username });
+    res.status(500).json({ success: false, error: 'Unable to start authentication' });
+  }
+});
+
+// 验证 WebAuthn 断言
+router.post('/webauthn/authenticate/verify', async (req, res) => {
+  const username = req.session.passwordVerified && req.session.username;
+  const expectedChallenge = req.session.webauthnChallenge;
+  delete req.session.webauthnChallenge;
+
+  if (!username || !expectedChallenge) {
+    return res.status(401).json({ success: false, error: 'Authentication session expired' });
+  }
+
+  const lockout = loginGuard.check(username, req.ip);
+  if (lockout.locked) {
+    auditEvent('mfa_rejected_locked', { username, ip: req.ip, scope: lockout.scope, outcome: 'denied' });
+    return res.status(429).json({ success: false, error: 'Too many failed attempts. Please try again later.' });
+  }
+
+  const result = await webauthn.verifyAuthentication(username, req.body.response, expectedChallenge, req);
+  if (!result.success) {
+    logger.warn('Failed WebAuthn verification', { username, error: result.error, ip: req.ip });
+    loginGuard.recordFailure(username, req.ip, 'mfa');
+    await loginGuard.delay(username, req.ip);
+    return res.status(401).json({ success: false, error: 'Security key verification failed. Please try again.' });
+  }
+
+  completeLogin(req, username, 'webauthn');
+
+  if (req.body.trustDevice === true) {
+    const device = trustedDevices.trust(username, req, res);
+    if (device) {
+      auditEvent('trusted_device_added', { username, ip: req.ip, deviceId: device.id, outcome: 'success' });
+    }
+  }
+  res.json({ success: true, redirect: returnUrl.take(req) });
+});
+
+// 安全密钥管理页面
+router.get('/webauthn', (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  const username = req.session.user;
+  res.render('webauthn', {
+    credentials: webauthn.listCredentials(username),
+    mfaStatus: mfa.getMFAStatus(username),
+    removed: Boolean(req.query.removed),
+    error: req.query.error
+  });
+});
+
+// 删除安全密钥
+router.post('/webauthn/remove', (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  const username = req.session.user;
+  const credentialId = typeof req.body.credentialId === 'string' ? req.body.credentialId : '';
+  const status = mfa.getMFAStatus(username);
+
+  // 不允许删除唯一的第二因素
+  if (!status.totp && status.webauthn <= 1) {
+    return res.redirect('/auth/webauthn?error=last');
+  }
+
+  if (webauthn.removeCredential(username, credentialId)) {
+    auditEvent('webauthn_removed', { username, ip: req.ip, credentialId, outcome: 'success' });
+  }
+  res.redirect('/auth/webauthn?removed=1');
+});
+
+// 受信任设备管理页面
+router.get('/trusted-devices', (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  res.render('trusted-devices', {
+    devices: trustedDevices.list(req.session.user),
+    enabled: trustedDevices.enabled,
+    revoked: parseInt(req.query.revoked) || 0
+  });
+});
+
+// 撤销受信任设备 (不指定 deviceId 时撤销全部)
+router.post('/trusted-devices/revoke', (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  const username = req.session.user;
+  const deviceId = typeof req.body.deviceId === 'string' ? req.body.deviceId : null;
+  const revoked = trustedDevices.revoke(username, deviceId);
+
+  if (!deviceId) {
+    trustedDevices.clearCookie(res);
+  }
+
+  auditEvent('trusted_device_revoked', { username, ip: req.ip, deviceId: deviceId || 'all', revoked, outcome: 'success' });
+  res.redirect(`/auth/trusted-devices?revoked=${revoked}`);
+});
+
+// 账户页面 (修改密码和管理第二因素的入口)
+router.get('/account', (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  const username = req.session.user;
+  const user = users.getUser(username);
+
+  res.set('Cache-Control', 'no-store');
+  res.render('account', {
+    username,
+    roles: user ? user.roles : null,
+    isAdmin: Boolean(user && user.roles.includes(process.env.ADMIN_ROLE || 'admin')),
+    mfaStatus: mfa.getMFAStatus(username),
+    canChangePassword: Boolean(user && user.source !== 'ldap'),
+    minLength: PASSWORD_MIN_LENGTH,
+    status: req.query.status,
+    signedOut: parseInt(req.query.signedOut) || 0
+  });
+});
+
+// 修改密码: 需要当前密码、新密码和新的 TOTP 验证码
+router.post('/account/password', async (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  const username = req.session.user;
+  const user = users.getUser(username);
+  const field = name => (typeof req.body[name] === 'string' ? req.body[name] : '');
+  const currentPassword = field('currentPassword');
+  const newPassword = field('newPassword');
+
+  if (!user || user.source === 'ldap') {
+    return res.redirect('/auth/account');
+  }
+
+  const lockout = loginGuard.check(username, req.ip);
+  if (lockout.locked) {
+    auditEvent('password_change', { username, ip: req.ip, reason: 'locked', outcome: 'denied' });
+    return res.redirect('/auth/account?status=locked');
+  }
+
+  if (newPassword !== field('confirmPassword')) {
+    return res.redirect('/auth/account?status=mismatch');
+  }
+  if (newPassword.length < PASSWORD_MIN_LENGTH) {
+    return res.redirect('/auth/account?status=short');
+  }
+  if (newPassword === currentPassword) {
+    return res.redirect('/auth/account?status=same');
+  }
+
+  const result = await users.verifyPassword(username, currentPassword);
+  if (!result.success) {
+    loginGuard.recordFailure(username, req.ip, 'password');
+    await loginGuard.delay(username, req.ip);
+    auditEvent('password_change', { username, ip: req.ip, reason: 'invalid_password', outcome: 'failure' });
+    return res.redirect('/auth/account?status=current');
+  }
+
+  // 新的第二因素确认
+  const confirmation = mfa.confirmFresh(username, field('token'), req.session.mfaVerifiedAt);
+  if (!confirmation.success) {
+    if (confirmation.reason === 'token') {
+      loginGuard.recordFailure(username, req.ip, 'mfa');
+      await loginGuard.delay(username, req.ip);
+      auditEvent('password_change', { username, ip: req.ip, reason: 'invalid_token', outcome: 'failure' });
+    }
+    return res.redirect(`/auth/account?status=${confirmation.reason}`);
+  }
+
+  try {
+    await users.setPassword(username, newPassword);
+  } catch (error) {
+    logger.error('Password change failed', { username, error: error.message });
+    return res.status(500).send('Failed to change password');
+  }
+  loginGuard.recordSuccess(username);
+
+  let signedOut = 0;
+  if (req.body.signOutOthers) {
+    try {
+      signedOut = await destroyUserSessions(req.sessionStore, username, req.sessionID);
+    } catch (error) {
+      logger.error('Failed to sign out other sessions', { username, error: error.message });
+    }
+  }
+
+  auditEvent('password_change', { username, ip: req.ip, signedOutSessions: signedOut, outcome: 'success' });
+  res.redirect(`/auth/account?status=changed&signedOut=${signedOut}`);
+});
+
+// 个人 API 令牌管理页面 (创建、查看使用记录、撤销)
+router.get('/api-tokens', (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.render('api-tokens', {
+    tokens: apiTokens.list(req.session.user),
+    newToken: takeSecret(req, 'api_token'),
+    revoked: parseInt(req.query.revoked) || 0
+  });
+});
+
+// 创建 API 令牌
+router.post('/api-tokens', (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  const username = req.session.user;
+  const { token, record } = apiTokens.create(username, {
+    name: typeof req.body.name === 'string' ? req.body.name : '',
+    scopes: typeof req.body.scopes === 'string' ? req.body.scopes : '',
+    expiresInDays: req.body.expiresInDays
+  });
+
+  auditEvent('api_token_created', {
+    username,
+    ip: req.ip,
+    tokenId: record.id,
+    scopes: record.scopes,
+    expiresAt: record.expiresAt,
+    outcome: 'success'
+  });
+
+  stashSecret(req, 'api_token', token);
+  res.redirect('/auth/api-tokens');
+});
+
+// 撤销 API 令牌 (不指定 tokenId 时撤销全部)
+router.post('/api-tokens/revoke', (req, res) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+
+  const username = req.session.user;
+  const tokenId = typeof req.body.tokenId === 'string' ? req.body.tokenId : null;
+  const revoked = apiTokens.revoke(username, tokenId);
+
+  auditEvent('api_token_revoked', { username, ip: req.ip, tokenId: tokenId || 'all', revoked, outcome: 'success' });
+  res.redirect(`/auth/api-tokens?revoked=${revoked}`);
+});
+
 // MFA 调试信息 (仅开发环境)
 router.get('/mfa-debug', (req, res) => {
   if (process.env.NODE_ENV === 'production') {
@@ -894,15 +950,11 @@ router.get('/mfa-debug', (req, res) => {
   };
 
   if (req.session.mfaSetupId) {
-    const setup = mfa.pendingSetups.get(req.session.mfaSetupId);
+    const setup = mfa.getPendingSetup(req.session.mfaSetupId);
     if (setup) {
       const utcTime = Math.floor(Date.now() / 1000);
-      const currentToken = require('speakeasy').totp({
-        secret: setup.secret,
-        encoding: 'base32',
-        step: 30,
-        time: utcTime
-      });
+      const totp = setup.totp || mfa.getTotpParams(setup.username);
+      const currentToken = mfa.totpAt(setup.secret, totp, utcTime);
 
       debugInfo.currentSetup = {
         setupId: req.session.mfaSetupId,
@@ -911,8 +963,9 @@ router.get('/mfa-debug', (req, res) => {
         utcTimestamp: utcTime,
         utcTime: new Date(utcTime * 1000).toISOString(),
         localTime: new Date().toISOString(),
-        timeRemaining: 30 - (utcTime % 30),
-        stepDuration: 30,
+        timeRemaining: totp.period - (utcTime % totp.period),
+        stepDuration: totp.period,
+        totp,
         secretLength: setup.secret.length
       };
     } else {
@@ -0,0 +1,153 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const users = require('../utils/users');
+const accessControl = require('../utils/access-control');
+const stepUpRules = require('../utils/step-up-rules');
+const identityHeaders = require('../utils/identity-headers');
+const { isPublicPath } = require('../utils/public-paths');
+const { normalizePath } = require('../utils/request-path');
+
+const router = express.Router();
+
+// 转发认证端点 (nginx auth_request / Traefik ForwardAuth)
+// 本服务运行在已有的反向代理旁边时，由反向代理在转发每个请求前调用:
+//   200 - 会话有效 (或公开路径)，响应头中包含用户身份
+//   401 - 未登录 (nginx 通过 error_page 跳转登录页)
+//   302 - 未登录且请求带有 ?redirect=true (Traefik 会把重定向直接返回给浏览器)
+//   403 - 已登录但访问规则不允许
+//   401 / 302 - 已登录但路径要求最近完成二次验证 (step-up，与终止代理使用同一份规则)
+// 原始请求地址取自 X-Original-URL，或 X-Forwarded-Proto / X-Forwarded-Host / X-Forwarded-Uri
+
+// 解析反向代理传入的原始请求 (路径无法规范化时视为无效请求)
+function getOriginalRequest(req) {
+  const base = `${req.protocol}://${req.get('X-Forwarded-Host') || req.get('host')}`;
+  const original = req.get('X-Original-URL') || req.get('X-Forwarded-Uri') || '/';
+
+  let url;
+  try {
+    url = new URL(original, base);
+  } catch (error) {
+    return null;
+  }
+  if (normalizePath(url.pathname) === null) {
+    return null;
+  }
+
+  const method = (req.get('X-Original-Method') || req.get('X-Forwarded-Method') || 'GET').toUpperCase();
+  return { url, method };
+}
+
+// 登录页地址 (默认与受保护站点同源，由反向代理把 /auth/ 转发到本服务)
+function getLoginUrl(original) {
+  const loginUrl = new URL(process.env.FORWARD_AUTH_LOGIN_URL || '/auth/login', original.url.origin);
+  loginUrl.searchParams.set('rd', original.url.href);
+  return loginUrl.href;
+}
+
+// 二次验证页面地址 (与登录页同源)
+function getStepUpUrl(original) {
+  const loginUrl = new URL(process.env.FORWARD_AUTH_LOGIN_URL || '/auth/login', original.url.origin);
+  const stepUpUrl = new URL('/auth/step-up', loginUrl);
+  stepUpUrl.searchParams.set('rd', original.url.href);
+  return stepUpUrl.href;
+}
+
+// 未认证响应
+function deny(req, res, original) {
+  const loginUrl = getLoginUrl(original);
+  const wantsJson = req.get('Accept') && req.get('Accept').includes('application/json');
+
+  if (req.query.redirect === 'true' && !wantsJson) {
+    return res.redirect(302, loginUrl);
+  }
+
+  res.status(401).json({
+    error: 'Unauthorized',
+    message: 'Authentication required',
+    redirectTo: loginUrl
+  });
+}
+
+router.all('/verify', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  const original = getOriginalRequest(req);
+  if (!original) {
+    return res.status(400).json({ error: 'Bad Request', message: 'Invalid original request URL' });
+  }
+
+  const pathname = original.url.pathname;
+
+  // 公开路径无需认证 (已登录时仍然附带身份)
+  if (isPublicPath(pathname)) {
+    identityHeaders.apply(res, identityHeaders.getIdentity(req));
+    return res.status(200).end();
+  }
+
+  if (!req.session || !req.session.authenticated) {
+    logger.debug('Forward auth: unauthenticated', {
+      url: original.url.href,
+      method: original.method,
+      ip: req.ip
+    });
+    return deny(req, res, original);
+  }
+
+  // 账户被禁用或删除后立即失效
+  const user = users.getUser(req.session.user);
+  if (!user || !user.enabled) {
+    logger.warn('Session user no longer active', {
+      user: req.session.user,
+      url: original.url.href,
+      ip: req.ip
+    });
+    return req.session.destroy(() => deny(req, res, original));
+  }
+
+  // 基于角色的路径授权
+  const access = accessControl.check(pathname, original.method, user.roles);
+  if (!access.allowed) {
+    logger.warn('Forward auth: access denied by role rule', {
+      url: original.url.href,
+      method: original.method,
+      user: user.username,
+      roles: user.roles,
+      rule: access.rule,
+      ip: req.ip
+    });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have permission to access this resource'
+    });
+  }
+
+  // 敏感路径要求最近完成过第二因素验证 (step-up MFA)
+  const stepUpCheck = stepUpRules.check(pathname, original.method, req.session.mfaVerifiedAt);
+  if (stepUpCheck.required) {
+    logger.info('Forward auth: step-up MFA required', {
+      url: original.url.href,
+      method: original.method,
+      user: user.username,
+      rule: stepUpCheck.rule,
+      ip: req.ip
+    });
+
+    const stepUpUrl = getStepUpUrl(original);
+    const wantsJson = req.get('Accept') && req.get('Accept').includes('application/json');
+    if (req.query.redirect === 'true' && !wantsJson) {
+      return res.redirect(302, stepUpUrl);
+    }
+    return res.status(401).json({
+      error: 'step_up_required',
+      message: 'A recent MFA verification is required for this resource',
+      maxAgeSeconds: stepUpCheck.maxAge / 1000,
+      verifyUrl: stepUpUrl,
+      redirectTo: stepUpUrl
+    });
+  }
+
+  identityHeaders.apply(res, identityHeaders.getIdentity(req));
+  res.status(200).end();
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const i18n = require('../utils/i18n');
+const branding = require('../utils/branding');
+const csrf = require('../utils/csrf');
+
+const router = express.Router();
+
+// 认证页面模板 (登录、账户、管理控制台、二次验证) 使用的语言、品牌设置和 CSRF 令牌
+router.use(i18n.middleware());
+router.use((req, res, next) => {
+  res.locals.brand = branding;
+  // 表单的 CSRF 令牌 (只在渲染页面时生成)
+  Object.defineProperty(res.locals, 'csrfToken', { enumerable: true, get: () => csrf.getToken(req) });
+  next();
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const mfa = require('../utils/mfa');
+const webauthn = require('../utils/webauthn');
+const loginGuard = require('../utils/login-guard');
+const stepUpRules = require('../utils/step-up-rules');
+const { auditEvent } = require('../utils/audit');
+
+const router = express.Router();
+
+// 刚完成二次验证后允许继续原请求的时间
+const CONTINUE_WINDOW = 2 * 60 * 1000;
+
+// 二次验证通过
+function completeStepUp(req, username, method) {
+  loginGuard.recordSuccess(username);
+  req.session.mfaVerifiedAt = Date.now();
+
+  const pending = req.session.stepUp;
+  logger.info('Step-up MFA verification successful', { username, method, url: pending && pending.url, ip: req.ip });
+  auditEvent('step_up_success', { username, ip: req.ip, method, url: pending && pending.url, outcome: 'success' });
+}
+
+router.use((req, res, next) => {
+  if (!req.session.authenticated) {
+    return res.redirect('/auth/login');
+  }
+  next();
+});
+
+// 二次验证页面
+router.get('/', (req, res) => {
+  const username = req.session.user;
+  const mfaStatus = mfa.getMFAStatus(username);
+
+  // API 客户端收到 401 后可以把用户带到 /auth/step-up?rd=<当前页面>
+  if (req.query.rd) {
+    stepUpRules.rememberReturnUrl(req, req.query.rd);
+  }
+  const pending = req.session.stepUp;
+
+  res.set('Cache-Control', 'no-store');
+  res.render('step-up', {
+    mfaStatus,
+    pendingUrl: pending ? pending.url : null,
+    error: req.query.error
+  });
+});
+
+// 使用 TOTP 完成二次验证
+router.post('/', async (req, res) => {
+  const username = req.session.user;
+  const token = typeof req.body.token === 'string' ? req.body.token : '';
+
+  const lockout = loginGuard.check(username, req.ip);
+  if (lockout.locked) {
+    auditEvent('step_up_rejected_locked', { username, ip: req.ip, scope: lockout.scope, outcome: 'denied' });
+    return res.redirect('/auth/step-up?error=locked');
+  }
+
+  if (!mfa.getMFAStatus(username).totp || !mfa.verifyToken(username, token)) {
+    logger.warn('Failed step-up MFA verification', { username, ip: req.ip });
+    auditEvent('step_up_failure', { username, ip: req.ip, method: 'totp', outcome: 'failure' });
+    loginGuard.recordFailure(username, req.ip, 'mfa');
+    await loginGuard.delay(username, req.ip);
+    return res.redirect('/auth/step-up?error=token');
+  }
+
+  completeStepUp(req, username, 'totp');
+  res.redirect('/auth/step-up/continue');
+});
+
+// 使用安全密钥完成二次验证
+router.post('/webauthn/options', async (req, res) => {
+  const username = req.session.user;
+  if (!webauthn.hasCredentials(username)) {
+    return res.status(400).json({ success: false, error: 'No security keys registered' });
+  }
+
+  try {
+    const options = await webauthn.generateAuthenticationOptions(username, req);
+    req.session.webauthnChallenge = options.challenge;
+    res.json(options);
+  } catch (error) {
+    logger.error('WebAuthn step-up options error', { error: error.message, username });
+    res.status(500).json({ success: false, error: 'Unable to start authentication' });
+  }
+});
+
+router.post('/webauthn/verify', async (req, res) => {
+  const username = req.session.user;
+  const expectedChallenge = req.session.webauthnChallenge;
+  delete req.session.webauthnChallenge;
+
+  if (!expectedChallenge) {
+    return res.status(401).json({ success: false, error: 'Authentication session expired' });
+  }
+
+  const lockout = loginGuard.check(username, req.ip);
+  if (lockout.locked) {
+    auditEvent('step_up_rejected_locked', { username, ip: req.ip, scope: lockout.scope, outcome: 'denied' });
+    return res.status(429).json({ success: false, error: 'Too many failed attempts. Please try again later.' });
+  }
+
+  const result = await webauthn.verifyAuthentication(username, req.body.response, expectedChallenge, req);
+  if (!result.success) {
+    logger.warn('Failed step-up WebAuthn verification', { username, error: result.error, ip: req.ip });
+    auditEvent('step_up_failure', { username, ip: req.ip, method: 'webauthn', outcome: 'failure' });
+    loginGuard.recordFailure(username, req.ip, 'mfa');
+    await loginGuard.delay(username, req.ip);
+    return res.status(401).json({ success: false, error: 'Security key verification failed. Please try again.' });
+  }
+
+  completeStepUp(req, username, 'webauthn');
+  res.json({ success: true, redirect: '/auth/step-up/continue' });
+});
+
+// 继续原请求: GET 直接重定向，表单 POST 由浏览器重新提交
+router.get('/continue', (req, res) => {
+  const pending = req.session.stepUp;
+  const verifiedAt = req.session.mfaVerifiedAt;
+
+  if (!verifiedAt || Date.now() - verifiedAt > CONTINUE_WINDOW) {
+    return res.redirect('/auth/step-up');
+  }
+
+  delete req.session.stepUp;
+  if (!stepUpRules.isPendingValid(pending)) {
+    return res.redirect('/');
+  }
+  if (!pending.body) {
+    return res.redirect(pending.url);
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.render('step-up-continue', { url: pending.url, fields: pending.body });
+});
+
+module.exports = router;
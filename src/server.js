@@ -9,16 +9,41 @@ const rateLimit = require('express-rate-limit');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const logger = require('./utils/logger');
 const auth = require('./middleware/auth');
+const users = require('./utils/users');
+const accessControl = require('./utils/access-control');
+const identityHeaders = require('./utils/identity-headers');
+const apiTokens = require('./utils/api-tokens');
+const sessionTimeouts = require('./utils/session-timeouts');
+const mfa = require('./utils/mfa');
+const returnUrl = require('./utils/return-url');
+const stepUpRules = require('./utils/step-up-rules');
+const totpPolicy = require('./utils/totp-policy');
+const { auditEvent } = require('./utils/audit');
+const { createSessionStore, loadSessionSecret } = require('./utils/session-store');
+const { storage } = require('./utils/storage');
+const { publicPaths, isPublicPath } = require('./utils/public-paths');
+const { normalizePath } = require('./utils/request-path');
+const forwardAuth = require('./middleware/forward-auth');
+const admin = require('./middleware/admin');
+const pageLocals = require('./middleware/page-locals');
+const stepUp = require('./middleware/step-up');
 const config = require('./config');
+const branding = require('./utils/branding');
+const csrf = require('./utils/csrf');
+const { VIEWS_DIR, viewDirs } = require('./views/layout');
 
 const app = express();
 
-// 信任代理设置 - 支持反向代理
-app.set('trust proxy', true);
+// 信任代理设置 - 只信任配置的反向代理 (TRUST_PROXY)，req.ip 用于速率限制、登录锁定和审计
+app.set('trust proxy', config.getTrustProxy());
+
+// 认证页面模板 (EJS)，VIEWS_DIR 中的同名模板优先
+app.set('view engine', 'ejs');
+app.set('views', viewDirs);
 
 // 配置
 const { HTTP_PORT, HTTPS_PORT, getProxyTarget, getBindAddress } = config;
-const SESSION_SECRET = process.env.SESSION_SECRET || require('crypto').randomBytes(32).toString('hex');
+const SESSION_SECRET = loadSessionSecret(); // 未设置时自动生成并保存到数据目录 (DATA_DIR) 的 session-secret
 
 // 安全中间件
 app.use(helmet({
@@ -27,35 +52,58 @@ app.use(helmet({
             defaultSrc: ["'self'"],
             styleSrc: ["'self'", "'unsafe-inline'"],
             scriptSrc: ["'self'"],
-            imgSrc: ["'self'", "data:"]
+            imgSrc: ["'self'", "data:", ...(branding.logoOrigin ? [branding.logoOrigin] : [])]
         }
     }
 }));
 
-// 速率限制 (已禁用)
-// const limiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15分钟
-//   max: 100, // 限制每个IP 100次请求
-//   message: 'Too many requests from this IP'
-// });
-// app.use(limiter);
+// 认证接口速率限制 (按 IP 的粗粒度限制，账户锁定由 login-guard 处理)
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15分钟
+  limit: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 50, // 每个IP 最多 50 次认证请求
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logger.warn('Auth rate limit exceeded', {
+      path: req.path,
+      ip: req.ip
+    });
+    res.status(options.statusCode).send('Too many requests from this IP');
+  }
+});
+app.post(['/auth/login', '/auth/mfa-verify', '/auth/mfa-verify/email', '/auth/mfa-setup', '/auth/account/password', '/auth/admin/actions', '/auth/step-up'], authLimiter);
+
+// 会话 Cookie 的 SameSite 设置: lax (默认) 或 strict
+const SESSION_COOKIE_SAMESITE = process.env.SESSION_COOKIE_SAMESITE === 'strict' ? 'strict' : 'lax';
 
-// 会话配置
-app.use(session({
+// 会话配置 (WebSocket 升级请求也需要解析会话)
+// 会话持久化到数据目录 (DATA_DIR)，重启后用户无需重新登录
+const sessionStore = createSessionStore();
+const sessionMiddleware = session({
     secret: SESSION_SECRET,
+    store: sessionStore || undefined,
     resave: false,
     saveUninitialized: false,
     cookie: {
         secure: true, // HTTPS only
         httpOnly: true,
-        maxAge: 24 * 60 * 60 * 1000 // 24小时
+        sameSite: SESSION_COOKIE_SAMESITE, // 跨站 POST 不携带会话 Cookie (OIDC 回调是顶层 GET 跳转，lax 下仍然携带)
+        maxAge: sessionTimeouts.absoluteMs, // 绝对有效期 (SESSION_ABSOLUTE_HOURS，默认 24 小时)
+        domain: process.env.SESSION_COOKIE_DOMAIN || undefined // 转发认证模式下可跨子域名共享
     }
-}));
+});
+app.use(sessionMiddleware);
 
 // 请求解析中间件 - 只对非代理路径解析
 app.use('/auth', express.json({ limit: '10mb' }));
 app.use('/auth', express.urlencoded({ extended: true, limit: '10mb' }));
 
+// 认证页面模板的语言、品牌设置和 CSRF 令牌 (CSRF 拒绝页面也使用)
+app.use('/auth', pageLocals);
+
+// /auth 下的表单和 fetch 请求必须携带会话的 CSRF 令牌
+app.use('/auth', csrf.protect);
+
 // 对于代理路径，我们需要特殊处理以保持原始请求体
 app.use((req, res, next) => {
   // 跳过已经处理的路径
@@ -80,8 +128,57 @@ app.use((req, res, next) => {
   }
 });
 
-// 静态文件服务 (仅用于认证页面资源)
-app.use('/auth/static', express.static('public'));
+// 会话超时检查: 超过绝对有效期需要重新登录；空闲超时后锁定会话，重新输入验证码即可继续
+app.use((req, res, next) => {
+  const state = sessionTimeouts.check(req.session);
+  if (!state) {
+    return next();
+  }
+
+  const isLocalPath = req.path.startsWith('/auth/') || req.path === '/health' || req.path === '/proxy-status';
+
+  // 浏览器页面请求在重新认证后返回原地址
+  const rememberReturnUrl = () => {
+    if (!isLocalPath && req.method === 'GET' && !(req.headers.accept || '').includes('application/json')) {
+      returnUrl.remember(req, req.originalUrl);
+    }
+  };
+
+  if (state === 'active') {
+    if (!req.path.startsWith('/auth/static/') && req.path !== '/health' && req.path !== '/proxy-status') {
+      sessionTimeouts.touch(req.session);
+    }
+    return next();
+  }
+
+  const username = req.session.user || req.session.username;
+
+  // 空闲锁定只保留给已启用第二因素的用户 (只通过验证码即可恢复)，否则按过期处理
+  if (state === 'idle' && !mfa.getMFAStatus(username).setupRequired) {
+    if (!req.session.idleLocked) {
+      logger.info('Session locked after inactivity', { username, ip: req.ip, sessionId: req.sessionID });
+      auditEvent('session_idle_locked', { username, ip: req.ip, outcome: 'success' });
+      sessionTimeouts.lock(req.session);
+    }
+    rememberReturnUrl();
+    return next();
+  }
+
+  logger.info('Session expired', { username, reason: state, ip: req.ip, sessionId: req.sessionID });
+  auditEvent('session_expired', { username, ip: req.ip, reason: state, outcome: 'success' });
+
+  req.session.regenerate(error => {
+    if (error) {
+      return next(error);
+    }
+    rememberReturnUrl();
+    next();
+  });
+});
+
+// 静态文件服务 (仅用于认证页面资源，VIEWS_DIR/static 中的文件如品牌标志优先)
+app.use('/auth/static', express.static(path.join(VIEWS_DIR, 'static')));
+app.use('/auth/static', express.static(path.join(__dirname, '..', 'public')));
 
 // 健康检查端点 (无需认证)
 app.get('/health', (req, res) => {
@@ -157,12 +254,72 @@ app.get('/proxy-status', async (req, res) => {
 });
 
 // 认证路由
+app.use('/auth', forwardAuth);
+app.use('/auth/admin', admin);
+app.use('/auth/step-up', stepUp);
 app.use('/auth', auth);
 
+// 个人 API 令牌认证 (Authorization: Bearer hpx_...)，不创建会话
+// 其他格式的 Bearer 令牌属于上游应用，原样转发
+app.use('/', (req, res, next) => {
+  const match = /^Bearer\s+(hpx_\S+)$/i.exec(req.get('Authorization') || '');
+  if (!match || req.path.startsWith('/auth/') || req.path === '/health' || req.path === '/proxy-status') {
+    return next();
+  }
+
+  const result = apiTokens.verify(match[1]);
+  if (!result.success) {
+    logger.warn('API token rejected', {
+      reason: result.reason,
+      tokenId: result.record && result.record.id,
+      path: req.path,
+      ip: req.ip
+    });
+    auditEvent('api_token_rejected', {
+      username: result.record && result.record.username,
+      tokenId: result.record && result.record.id,
+      ip: req.ip,
+      reason: result.reason,
+      outcome: 'denied'
+    });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or expired API token'
+    });
+  }
+
+  const token = result.record;
+  if (!apiTokens.isInScope(token, req.path)) {
+    logger.warn('API token used outside its scope', {
+      username: token.username,
+      tokenId: token.id,
+      path: req.path,
+      scopes: token.scopes,
+      ip: req.ip
+    });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This API token is not valid for this path'
+    });
+  }
+
+  apiTokens.touch(token, req.ip);
+  req.apiToken = token;
+
+  logger.info('API token request', {
+    username: token.username,
+    tokenId: token.id,
+    method: req.method,
+    path: req.path,
+    ip: req.ip
+  });
+  next();
+});
+
 // 代理中间件 - 需要认证
 app.use('/', (req, res, next) => {
-    if (!req.session.authenticated && !req.path.startsWith('/auth')) {
-        return res.redirect('/auth/login');
+    if (!req.session.authenticated && !req.apiToken && !req.path.startsWith('/auth')) {
+        return res.redirect(returnUrl.loginUrl(req));
     }
     next();
 });
@@ -174,7 +331,7 @@ const createSmartProxy = () => {
   return createProxyMiddleware({
     target: proxyTarget,
     changeOrigin: true,
-    ws: true, // 启用 WebSocket 支持
+    ws: false, // WebSocket 升级由 server 'upgrade' 事件统一处理 (先进行认证检查)，避免中间件自动订阅绕过认证
     
     // 路径过滤 - 只排除本地认证路径
     pathFilter: (pathname, req) => {
@@ -243,6 +400,14 @@ const createSmartProxy = () => {
       proxyReq.setHeader('X-Forwarded-Proto', req.protocol);
       proxyReq.setHeader('X-Forwarded-Host', req.get('host'));
       
+      // 移除客户端伪造的身份头部并注入当前用户身份
+      identityHeaders.apply(proxyReq, identityHeaders.getIdentity(req));
+
+      // 代理自己的 API 令牌不转发给上游
+      if (req.apiToken) {
+        proxyReq.removeHeader('Authorization');
+      }
+      
       // 处理 POST/PUT 请求体
       if (req.body && (req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH')) {
         let bodyData;
@@ -313,6 +478,7 @@ const createSmartProxy = () => {
     onProxyReqWs: (proxyReq, req, socket, options, head) => {
       // 设置 WebSocket 头部
       proxyReq.setHeader('X-Real-IP', req.connection.remoteAddress);
+      identityHeaders.apply(proxyReq, identityHeaders.getIdentity(req));
       
       logger.info('WebSocket upgrade', {
         url: req.url,
@@ -474,42 +640,6 @@ const createSmartProxy = () => {
 
 const proxyMiddleware = createSmartProxy();
 
-// 配置哪些路径不需要认证就可以代理
-const defaultPublicPaths = [
-  '/api/auth',
-  '/login',
-  '/register',
-  '/public',
-  '/assets',
-  '/static',
-  '/favicon.ico',
-  '/robots.txt'
-];
-
-// 从环境变量加载公开路径配置
-const getPublicPaths = () => {
-  const envPaths = process.env.PUBLIC_PATHS;
-  if (envPaths) {
-    try {
-      const customPaths = JSON.parse(envPaths);
-      logger.info('Using custom public paths from environment', { paths: customPaths });
-      return customPaths;
-    } catch (error) {
-      logger.warn('Invalid PUBLIC_PATHS format, using defaults', { error: error.message });
-    }
-  }
-  return defaultPublicPaths;
-};
-
-const publicPaths = getPublicPaths();
-
-// 检查路径是否为公开路径
-function isPublicPath(path) {
-  return publicPaths.some(publicPath => 
-    path === publicPath || path.startsWith(publicPath + '/')
-  );
-}
-
 // 智能代理路由 - 区分公开和私有路径
 app.use('/', (req, res, next) => {
   // 添加请求开始时间用于计算响应时间
@@ -519,6 +649,15 @@ app.use('/', (req, res, next) => {
   if (req.path.startsWith('/auth/') || req.path === '/health' || req.path === '/proxy-status') {
     return next();
   }
+
+  // 包含编码斜杠或无效编码的路径无法可靠匹配访问规则，直接拒绝
+  if (normalizePath(req.path) === null) {
+    logger.warn('Rejected request with ambiguous path', { path: req.path, method: req.method, ip: req.ip });
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid request path'
+    });
+  }
   
   // 公开路径无需认证直接代理
   if (isPublicPath(req.path)) {
@@ -532,8 +671,8 @@ app.use('/', (req, res, next) => {
     return next();
   }
   
-  // 私有路径需要认证
-  if (!req.session || !req.session.authenticated) {
+  // 私有路径需要认证 (会话或 API 令牌)
+  if (!req.apiToken && (!req.session || !req.session.authenticated)) {
     logger.warn('Unauthorized access attempt', {
       path: req.path,
       method: req.method,
@@ -560,15 +699,118 @@ app.use('/', (req, res, next) => {
       return res.status(401).end();
     }
     
-    // 普通 HTTP 请求重定向到登录页
-    return res.redirect('/auth/login');
+    // 普通 HTTP 请求重定向到登录页 (登录后返回原地址)
+    return res.redirect(returnUrl.loginUrl(req));
   }
   
+  // 账户被禁用或删除后立即失效
+  const username = req.apiToken ? req.apiToken.username : req.session.user;
+  const user = users.getUser(username);
+  if (!user || !user.enabled) {
+    logger.warn('Session user no longer active', {
+      user: username,
+      tokenId: req.apiToken && req.apiToken.id,
+      path: req.path,
+      ip: req.ip
+    });
+    if (req.apiToken) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Account is disabled'
+      });
+    }
+    return req.session.destroy(() => res.redirect('/auth/login'));
+  }
+
+  // 基于角色的路径授权
+  const access = accessControl.check(req.path, req.method, user.roles);
+  if (!access.allowed) {
+    logger.warn('Access denied by role rule', {
+      path: req.path,
+      method: req.method,
+      user: username,
+      roles: user.roles,
+      rule: access.rule,
+      ip: req.ip
+    });
+
+    // 对于 API 请求 (或使用 API 令牌) 返回 JSON 错误
+    if (req.apiToken || (req.headers.accept && req.headers.accept.includes('application/json'))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to access this resource'
+      });
+    }
+
+    // 对于 WebSocket 升级请求
+    if (req.headers.upgrade === 'websocket') {
+      return res.status(403).end();
+    }
+
+    return res.status(403).send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <title>Access Denied</title>
+          <style>
+              body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
+              .error { color: #e74c3c; }
+          </style>
+      </head>
+      <body>
+          <h1 class="error">Access Denied</h1>
+          <p>You do not have permission to access this resource.</p>
+          <p><a href="/">Return to Home</a></p>
+      </body>
+      </html>
+    `);
+  }
+
+  // 敏感路径要求最近完成过第二因素验证 (step-up MFA)
+  const stepUpCheck = stepUpRules.check(req.path, req.method, req.apiToken ? null : req.session.mfaVerifiedAt);
+  if (stepUpCheck.required) {
+    logger.info('Step-up MFA required', {
+      path: req.path,
+      method: req.method,
+      user: username,
+      tokenId: req.apiToken && req.apiToken.id,
+      rule: stepUpCheck.rule,
+      ip: req.ip
+    });
+
+    // API 令牌无法完成交互式验证
+    if (req.apiToken) {
+      return res.status(403).json({
+        error: 'step_up_required',
+        message: 'This resource requires a recent MFA verification and cannot be accessed with an API token'
+      });
+    }
+
+    // 对于 WebSocket 升级请求
+    if (req.headers.upgrade === 'websocket') {
+      return res.status(401).end();
+    }
+
+    // 非浏览器页面请求 (fetch / XHR / API 客户端) 返回结构化错误
+    if (!(req.headers.accept || '').includes('text/html')) {
+      return res.status(401).json({
+        error: 'step_up_required',
+        message: 'A recent MFA verification is required for this resource',
+        maxAgeSeconds: stepUpCheck.maxAge / 1000,
+        verifyUrl: '/auth/step-up'
+      });
+    }
+
+    // 浏览器跳转到二次验证页面，验证后继续原请求
+    stepUpRules.rememberRequest(req);
+    return res.redirect('/auth/step-up');
+  }
+
   // 已认证，继续代理
   logger.debug('Proxying authenticated request', {
     path: req.path,
     method: req.method,
-    user: req.session.user,
+    user: username,
     ip: req.ip
   });
   next();
@@ -608,8 +850,49 @@ server.on('upgrade', (request, socket, head) => {
     origin: request.headers.origin
   });
   
-  // 让 http-proxy-middleware 处理 WebSocket 升级
-  proxyMiddleware.upgrade(request, socket, head);
+  // 解析会话，用于认证检查和向上游传递身份
+  sessionMiddleware(request, {}, () => {
+    const pathname = new URL(request.url, 'https://localhost').pathname;
+
+    if (!isPublicPath(pathname)) {
+      // 空闲或超过有效期的会话需要先在浏览器中重新认证
+      const active = sessionTimeouts.check(request.session) === 'active';
+      const user = active ? users.getUser(request.session.user) : null;
+
+      if (!user || !user.enabled) {
+        logger.warn('WebSocket upgrade without authentication', {
+          url: request.url,
+          ip: socket.remoteAddress,
+          origin: request.headers.origin
+        });
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+      }
+
+      if (!accessControl.check(pathname, 'GET', user.roles).allowed) {
+        logger.warn('WebSocket upgrade denied by role rule', {
+          url: request.url,
+          user: user.username,
+          ip: socket.remoteAddress
+        });
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+      }
+
+      if (stepUpRules.check(pathname, 'GET', request.session.mfaVerifiedAt).required) {
+        logger.warn('WebSocket upgrade requires step-up MFA', {
+          url: request.url,
+          user: user.username,
+          ip: socket.remoteAddress
+        });
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+      }
+    }
+
+    // 让 http-proxy-middleware 处理 WebSocket 升级
+    proxyMiddleware.upgrade(request, socket, head);
+  });
 });
 
 // 服务器错误处理
@@ -643,9 +926,23 @@ server.listen(HTTPS_PORT, bindAddress, () => {
   });
 });
 
+// 重新加载用户配置
+process.on('SIGHUP', () => {
+    logger.info('Received SIGHUP, reloading users, access rules, step-up rules, TOTP policy and MFA state');
+    users.loadUsers();
+    accessControl.loadRules();
+    stepUpRules.loadRules();
+    totpPolicy.loadPolicy();
+    mfa.reload();
+});
+
 // 优雅关闭
 process.on('SIGTERM', () => {
     logger.info('Received SIGTERM, shutting down gracefully');
+    if (sessionStore) {
+        sessionStore.close();
+    }
+    storage.close();
     server.close(() => {
         process.exit(0);
     });
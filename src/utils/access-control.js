@@ -0,0 +1,115 @@
+const fs = require('fs');
+const logger = require('./logger');
+const { dataPath } = require('./storage');
+const { normalizePath, normalizeMethods } = require('./request-path');
+
+// 基于角色的路径授权
+// 规则按顺序匹配，第一条命中的规则决定是否允许访问；没有命中时使用默认策略
+//
+// 规则格式:
+//   { "path": "/admin", "roles": ["admin"] }                        - 路径前缀
+//   { "pattern": "^/api/v\\d+/billing", "roles": ["billing"] }      - 正则表达式
+//   { "path": "/api", "methods": ["DELETE"], "roles": ["admin"] }    - 限定 HTTP 方法
+//   { "path": "/docs", "roles": ["*"] }                              - 任意已登录用户
+class AccessControl {
+  constructor() {
+    this.rulesFile = dataPath('access-rules.json');
+    this.rules = [];
+    this.defaultPolicy = 'allow';
+
+    this.loadRules();
+  }
+
+  // 从环境变量 ACCESS_RULES 或 access-rules.json 加载规则
+  loadRules() {
+    let rawRules = [];
+    let source = 'none';
+
+    try {
+      if (process.env.ACCESS_RULES) {
+        rawRules = JSON.parse(process.env.ACCESS_RULES);
+        source = 'env';
+      } else if (fs.existsSync(this.rulesFile)) {
+        rawRules = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+        source = this.rulesFile;
+      }
+    } catch (error) {
+      logger.error('Failed to parse access rules, denying all non-public paths', { error: error.message });
+      this.rules = [];
+      this.defaultPolicy = 'deny';
+      return;
+    }
+
+    if (!Array.isArray(rawRules)) {
+      logger.error('Access rules must be a JSON array, denying all non-public paths', { source });
+      this.rules = [];
+      this.defaultPolicy = 'deny';
+      return;
+    }
+
+    this.rules = rawRules.map((rule, index) => this.compileRule(rule, index)).filter(Boolean);
+    this.defaultPolicy = process.env.ACCESS_DEFAULT_POLICY === 'deny' ? 'deny' : 'allow';
+
+    logger.info('Loaded access rules', {
+      source,
+      rules: this.rules.length,
+      defaultPolicy: this.defaultPolicy
+    });
+  }
+
+  compileRule(rule, index) {
+    if (!rule || (!rule.path && !rule.pattern) || !Array.isArray(rule.roles)) {
+      logger.warn('Ignoring invalid access rule', { index, rule });
+      return null;
+    }
+
+    let regex = null;
+    if (rule.pattern) {
+      try {
+        regex = new RegExp(rule.pattern);
+      } catch (error) {
+        logger.warn('Ignoring access rule with invalid pattern', { index, pattern: rule.pattern, error: error.message });
+        return null;
+      }
+    }
+
+    return {
+      index,
+      path: rule.path || null,
+      regex,
+      methods: normalizeMethods(rule.methods),
+      roles: rule.roles
+    };
+  }
+
+  matches(rule, requestPath, method) {
+    if (rule.methods && !rule.methods.includes(method)) {
+      return false;
+    }
+
+    if (rule.regex) {
+      return rule.regex.test(requestPath);
+    }
+
+    return requestPath === rule.path || requestPath.startsWith(rule.path.endsWith('/') ? rule.path : rule.path + '/');
+  }
+
+  // 检查角色是否允许访问路径 (按规范化后的路径匹配，无法规范化的路径拒绝)
+  check(requestPath, method, roles = []) {
+    const normalized = normalizePath(requestPath);
+    if (normalized === null) {
+      return { allowed: false, rule: null };
+    }
+
+    const rule = this.rules.find(candidate => this.matches(candidate, normalized, method.toUpperCase()));
+
+    if (!rule) {
+      return { allowed: this.defaultPolicy === 'allow', rule: null };
+    }
+
+    const allowed = rule.roles.includes('*') || rule.roles.some(role => roles.includes(role));
+    return { allowed, rule: rule.index };
+  }
+}
+
+module.exports = new AccessControl();
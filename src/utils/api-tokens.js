@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const { storage } = require('./storage');
+const { normalizePath } = require('./request-path');
+
+// 令牌格式: hpx_<id>.<secret>，只保存 secret 的 SHA-256 哈希
+const TOKEN_PREFIX = 'hpx_';
+
+// 使用记录最多每分钟写盘一次
+const TOUCH_SAVE_INTERVAL = 60 * 1000;
+
+// 个人 API 令牌 (供脚本和 CI 通过 Authorization: Bearer 访问代理)
+// 令牌属于某个用户，继承该用户的角色；可选限定路径前缀和过期时间
+class ApiTokens {
+  constructor() {
+    this.tokens = new Map(); // id -> { id, username, name, hash, scopes, createdAt, expiresAt, lastUsedAt, lastUsedIp, useCount }
+    this.lastSavedAt = 0;
+
+    this.load();
+  }
+
+  load() {
+    try {
+      const tokens = storage.read('api-tokens') || {};
+      Object.values(tokens).forEach(record => {
+        this.tokens.set(record.id, record);
+      });
+    } catch (error) {
+      logger.error('Failed to load API tokens', {
+        error: error.message,
+        storage: storage.type
+      });
+    }
+  }
+
+  save() {
+    try {
+      const tokens = {};
+      this.tokens.forEach((record, id) => {
+        tokens[id] = record;
+      });
+
+      storage.write('api-tokens', tokens);
+      this.lastSavedAt = Date.now();
+    } catch (error) {
+      logger.error('Failed to save API tokens', {
+        error: error.message,
+        storage: storage.type
+      });
+    }
+  }
+
+  hash(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+  }
+
+  // 规范化路径前缀列表 (支持数组或逗号/空白分隔的字符串)
+  normalizeScopes(scopes) {
+    const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(/[\s,]+/);
+    return Array.from(new Set(list
+      .map(scope => String(scope).trim())
+      .filter(scope => scope.startsWith('/'))
+      .map(scope => (scope.length > 1 ? scope.replace(/\/+$/, '') : scope))));
+  }
+
+  // 创建令牌，明文令牌只在此时返回一次
+  create(username, { name, scopes, expiresInDays } = {}) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const days = parseInt(expiresInDays);
+    const now = Date.now();
+
+    const record = {
+      id,
+      username,
+      name: String(name || '').trim().slice(0, 64) || `Token ${id}`,
+      hash: this.hash(secret),
+      scopes: this.normalizeScopes(scopes),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: days > 0 ? new Date(now + days * 24 * 60 * 60 * 1000).toISOString() : null,
+      lastUsedAt: null,
+      lastUsedIp: null,
+      useCount: 0
+    };
+
+    this.tokens.set(id, record);
+    this.save();
+
+    logger.info('API token created', { username, tokenId: id, scopes: record.scopes, expiresAt: record.expiresAt });
+    return { token: `${TOKEN_PREFIX}${id}.${secret}`, record };
+  }
+
+  // 验证令牌，返回 { success, record } 或 { success: false, reason }
+  verify(token) {
+    const match = /^hpx_([0-9a-f]{12})\.([A-Za-z0-9_-]{43})$/.exec(String(token || ''));
+    if (!match) {
+      return { success: false, reason: 'malformed' };
+    }
+
+    const record = this.tokens.get(match[1]);
+    const expected = Buffer.from(record ? record.hash : this.hash(''), 'hex');
+    const provided = Buffer.from(this.hash(match[2]), 'hex');
+    if (!record || !crypto.timingSafeEqual(expected, provided)) {
+      return { success: false, reason: 'invalid' };
+    }
+
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+      return { success: false, reason: 'expired', record };
+    }
+
+    return { success: true, record };
+  }
+
+  // 路径是否在令牌的作用范围内 (未限定时允许所有路径，按规范化后的路径匹配)
+  isInScope(record, rawPath) {
+    if (!record.scopes || record.scopes.length === 0) {
+      return true;
+    }
+    const requestPath = normalizePath(rawPath);
+    return requestPath !== null && record.scopes.some(scope =>
+      scope === '/' || requestPath === scope || requestPath.startsWith(scope + '/')
+    );
+  }
+
+  // 记录令牌使用
+  touch(record, ip) {
+    record.lastUsedAt = new Date().toISOString();
+    record.lastUsedIp = ip;
+    record.useCount = (record.useCount || 0) + 1;
+
+    if (Date.now() - this.lastSavedAt > TOUCH_SAVE_INTERVAL) {
+      this.save();
+    }
+  }
+
+  // 列出用户的令牌 (不包含哈希)
+  list(username) {
+    return Array.from(this.tokens.values())
+      .filter(record => record.username === username)
+      .map(({ hash, ...record }) => ({
+        ...record,
+        expired: Boolean(record.expiresAt && Date.parse(record.expiresAt) <= Date.now())
+      }));
+  }
+
+  // 撤销用户的令牌 (tokenId 为空时撤销全部)
+  revoke(username, tokenId) {
+    let revoked = 0;
+    this.tokens.forEach((record, id) => {
+      if (record.username === username && (!tokenId || id === tokenId)) {
+        this.tokens.delete(id);
+        revoked++;
+      }
+    });
+
+    if (revoked > 0) {
+      this.save();
+      logger.info('API tokens revoked', { username, tokenId: tokenId || 'all', revoked });
+    }
+    return revoked;
+  }
+}
+
+module.exports = new ApiTokens();
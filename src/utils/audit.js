@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const logger = require('./logger');
+
+// 管理控制台显示的最近事件数量 (启动时从审计日志末尾恢复)
+const RECENT_EVENTS_LIMIT = 200;
+
+// 第一条记录的 prevHash
+const GENESIS_HASH = '0'.repeat(64);
+
+// 启动或其他进程追加后读取文件末尾的字节数 (足够容纳最近的事件)
+const TAIL_BYTES = 256 * 1024;
+
+// 追加记录时的锁: 等待超时后放弃写入，超过 LOCK_STALE_MS 未释放的锁视为持有进程已退出
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_RETRY_MS = 10;
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+// 固定字段，其余字段放入 details
+const SCHEMA_FIELDS = ['actor', 'target', 'ip', 'outcome', 'reason'];
+
+// 记录的哈希: SHA-256(prevHash + 记录 JSON)，配置 AUDIT_LOG_KEY 时使用 HMAC-SHA256 (没有密钥无法重新计算整条链)
+function hashRecord(record, key) {
+  const { hash, ...body } = record;
+  const data = `${body.prevHash}\n${JSON.stringify(body)}`;
+  return key
+    ? crypto.createHmac('sha256', key).update(data).digest('hex')
+    : crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// 安全审计日志: 独立的只追加文件 (AUDIT_LOG_FILE)，每行一条 JSON 记录
+// { seq, timestamp, action, actor, target, ip, outcome, reason, details, prevHash, hash }
+// 每条记录包含上一条记录的哈希，修改、删除或插入记录都会破坏哈希链 (scripts/verify-audit-log.js 检查)
+class AuditLog {
+  constructor() {
+    this.file = process.env.AUDIT_LOG_FILE || '/app/logs/audit.log';
+    this.key = process.env.AUDIT_LOG_KEY || null;
+    this.recentEvents = [];
+    this.seq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.size = null; // 上次读取或写入后的文件大小，不一致时说明其他进程追加过记录
+  }
+
+  // 从文件末尾恢复链的状态 (最后一条记录的序号和哈希)
+  syncTail() {
+    let size = 0;
+    try {
+      size = fs.statSync(this.file).size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    if (size === this.size) {
+      return;
+    }
+
+    this.seq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.size = size;
+    if (size === 0) {
+      return;
+    }
+
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(this.file, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, size - length);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const lines = buffer.toString('utf8').split('\n').filter(Boolean);
+    if (length < size) {
+      lines.shift(); // 第一行可能不完整
+    }
+
+    const records = [];
+    lines.forEach(line => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        logger.error('Unreadable record in audit log, run scripts/verify-audit-log.js', { file: this.file });
+      }
+    });
+
+    const last = records[records.length - 1];
+    if (last) {
+      this.seq = last.seq;
+      this.lastHash = last.hash;
+    }
+    if (this.recentEvents.length === 0) {
+      this.recentEvents = records.slice(-RECENT_EVENTS_LIMIT);
+    }
+  }
+
+  // 获取追加锁 (<AUDIT_LOG_FILE>.lock，独占创建)，服务和管理脚本同时写入时保证链的顺序
+  acquireLock() {
+    const lockFile = `${this.file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx', mode: 0o600 });
+        return lockFile;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+          logger.warn('Removing stale audit log lock', { file: lockFile });
+          fs.unlinkSync(lockFile);
+          continue;
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error('Timed out waiting for the audit log lock');
+      }
+      Atomics.wait(sleepBuffer, 0, 0, LOCK_RETRY_MS);
+    }
+  }
+
+  // 按固定格式记录事件
+  record(action, details = {}) {
+    const fields = {};
+    const extra = {};
+    Object.entries(details).forEach(([name, value]) => {
+      if (SCHEMA_FIELDS.includes(name)) {
+        fields[name] = value;
+      } else if (name !== 'username' && value !== undefined) {
+        extra[name] = value;
+      }
+    });
+
+    // 未单独指定时，username 既是操作者也是操作对象 (用户对自己账户的操作)
+    const entry = {
+      seq: 0,
+      timestamp: new Date().toISOString(),
+      action,
+      actor: fields.actor || details.username || null,
+      target: fields.target || details.username || null,
+      ip: fields.ip || null,
+      outcome: fields.outcome || null,
+      reason: fields.reason === undefined || fields.reason === null ? null : String(fields.reason),
+      details: extra,
+      prevHash: GENESIS_HASH
+    };
+
+    let lockFile = null;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      lockFile = this.acquireLock();
+
+      // 持有锁后重新读取文件末尾，其他进程刚追加的记录也会计入链
+      this.syncTail();
+      entry.seq = this.seq + 1;
+      entry.prevHash = this.lastHash;
+      entry.hash = hashRecord(entry, this.key);
+
+      const line = `${JSON.stringify(entry)}\n`;
+      fs.appendFileSync(this.file, line, { mode: 0o600 });
+
+      this.seq = entry.seq;
+      this.lastHash = entry.hash;
+      this.size += Buffer.byteLength(line);
+    } catch (error) {
+      // 审计日志写入失败不能影响认证流程，但必须留下记录
+      logger.error('Failed to write audit log', { file: this.file, error: error.message, action });
+      this.size = null;
+    } finally {
+      if (lockFile) {
+        try {
+          fs.unlinkSync(lockFile);
+        } catch (error) {
+          logger.error('Failed to release audit log lock', { file: lockFile, error: error.message });
+        }
+      }
+    }
+
+    this.recentEvents.push(entry);
+    if (this.recentEvents.length > RECENT_EVENTS_LIMIT) {
+      this.recentEvents.shift();
+    }
+    return entry;
+  }
+
+  // 逐行检查哈希链，返回 { valid, records, lastHash, error, line }
+  async verify(file = this.file, key = this.key) {
+    const input = fs.createReadStream(file, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+    let lineNumber = 0;
+
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          return { valid: false, records: expectedSeq - 1, line: lineNumber, error: 'Record is not valid JSON' };
+        }
+
+        if (record.seq !== expectedSeq) {
+          return { valid: false, records: expectedSeq - 1, line: lineNumber, error: `Expected sequence ${expectedSeq}, found ${record.seq} (records removed or inserted)` };
+        }
+        if (record.prevHash !== prevHash) {
+          return { valid: false, records: expectedSeq - 1, line: lineNumber, error: 'prevHash does not match the previous record' };
+        }
+        if (record.hash !== hashRecord(record, key)) {
+          return { valid: false, records: expectedSeq - 1, line: lineNumber, error: 'Record hash mismatch (record modified or wrong AUDIT_LOG_KEY)' };
+        }
+
+        prevHash = record.hash;
+        expectedSeq++;
+      }
+    } finally {
+      input.destroy();
+    }
+
+    return { valid: true, records: expectedSeq - 1, lastHash: prevHash };
+  }
+}
+
+const auditLog = new AuditLog();
+
+// 记录安全审计事件 (登录失败、锁定、解锁等)
+// details 中的 actor / target / ip / outcome / reason 写入固定字段，username 表示用户对自己账户的操作，其余字段写入 details
+function auditEvent(event, details = {}) {
+  return auditLog.record(event, details);
+}
+
+// 最近的审计事件 (新的在前)
+function getRecentEvents(limit = 50) {
+  if (auditLog.size === null) {
+    try {
+      auditLog.syncTail();
+    } catch (error) {
+      logger.error('Failed to read audit log', { file: auditLog.file, error: error.message });
+    }
+  }
+  return auditLog.recentEvents.slice(-limit).reverse();
+}
+
+module.exports = { auditEvent, getRecentEvents, auditLog, hashRecord, GENESIS_HASH };
@@ -0,0 +1,58 @@
+const logger = require('./logger');
+
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|(rgb|hsl)a?\([0-9., %]+\))$/;
+
+// 认证页面品牌设置
+// BRAND_TITLE: 产品名称 (页面标题、邮件)，BRAND_LOGO_URL: 标志图片地址
+// BRAND_PRIMARY_COLOR / BRAND_BACKGROUND_FROM / BRAND_BACKGROUND_TO: 主色和背景渐变
+// MFA_ISSUER: 认证器应用中显示的发行方名称 (默认使用 BRAND_TITLE)
+class Branding {
+  constructor() {
+    this.title = process.env.BRAND_TITLE || 'HTTPS Proxy Service';
+    this.issuer = process.env.MFA_ISSUER || this.title;
+    this.logoUrl = this.parseLogoUrl(process.env.BRAND_LOGO_URL);
+    this.primaryColor = this.parseColor('BRAND_PRIMARY_COLOR', '#667eea');
+    this.backgroundFrom = this.parseColor('BRAND_BACKGROUND_FROM', '#667eea');
+    this.backgroundTo = this.parseColor('BRAND_BACKGROUND_TO', '#764ba2');
+  }
+
+  // 颜色直接写入 CSS，只接受颜色值 (十六进制、颜色名、rgb()/hsl())
+  parseColor(name, fallback) {
+    const value = (process.env[name] || '').trim();
+    if (!value) {
+      return fallback;
+    }
+    if (!COLOR_PATTERN.test(value)) {
+      logger.warn('Ignoring invalid brand color', { name, value });
+      return fallback;
+    }
+    return value;
+  }
+
+  // 标志地址只接受本站路径 (如 /auth/static/logo.png) 或 https:// 地址
+  parseLogoUrl(value) {
+    if (!value) {
+      return null;
+    }
+    if (value.startsWith('/') && !value.startsWith('//')) {
+      return value;
+    }
+    try {
+      const url = new URL(value);
+      if (url.protocol === 'https:') {
+        return url.href;
+      }
+    } catch (error) {
+      // 按无效地址处理
+    }
+    logger.warn('Ignoring invalid BRAND_LOGO_URL (use a site path or an https:// URL)', { value });
+    return null;
+  }
+
+  // 外部标志的来源 (需要加入 CSP img-src)
+  get logoOrigin() {
+    return this.logoUrl && !this.logoUrl.startsWith('/') ? new URL(this.logoUrl).origin : null;
+  }
+}
+
+module.exports = new Branding();
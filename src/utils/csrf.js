@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const { auditEvent } = require('./audit');
+
+const FIELD_NAME = '_csrf';
+const HEADER_NAME = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// 不检查令牌的 /auth 路径:
+// /verify 由反向代理调用 (转发认证)；/mfa-cleanup、/mfa-reset 仅开发环境可用，供 curl 调用
+const EXEMPT_PATHS = ['/verify', '/mfa-cleanup', '/mfa-reset'];
+
+// 跨站请求伪造防护 (同步令牌模式)
+// 每个会话一个随机令牌，表单通过隐藏字段 _csrf 提交，fetch 请求通过 X-CSRF-Token 头部提交
+
+// 当前会话的令牌 (没有时生成)
+function getToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+  return req.session.csrfToken;
+}
+
+// 校验请求中的令牌，返回 null (通过) 或失败原因
+function check(req) {
+  const expected = req.session && req.session.csrfToken;
+  const provided = (req.body && typeof req.body[FIELD_NAME] === 'string' && req.body[FIELD_NAME]) || req.get(HEADER_NAME);
+
+  if (!provided) {
+    return 'missing';
+  }
+  if (!expected) {
+    return 'no_session';
+  }
+
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b) ? null : 'mismatch';
+}
+
+// 拒绝 /auth 下缺少令牌或令牌错误的修改请求 (挂载在 /auth 上，位于请求体解析之后)
+function protect(req, res, next) {
+  if (SAFE_METHODS.includes(req.method) || EXEMPT_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const reason = check(req);
+  if (!reason) {
+    return next();
+  }
+
+  const username = req.session && (req.session.user || req.session.username);
+  logger.warn('CSRF token rejected', { path: req.originalUrl, reason, username, ip: req.ip, origin: req.get('Origin') });
+  auditEvent('csrf_rejected', { username, ip: req.ip, path: req.originalUrl, reason, outcome: 'denied' });
+
+  res.set('Cache-Control', 'no-store');
+  if ((req.get('Accept') || '').includes('application/json') || req.is('application/json')) {
+    return res.status(403).json({ success: false, error: 'Invalid or missing CSRF token. Reload the page and try again.' });
+  }
+  res.status(403).render('csrf-rejected');
+}
+
+module.exports = { getToken, check, protect, FIELD_NAME, HEADER_NAME };
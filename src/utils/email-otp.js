@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const users = require('./users');
+const mailer = require('./mailer');
+const { storage } = require('./storage');
+const branding = require('./branding');
+const hmacKey = require('./hmac-key');
+
+const SEND_WINDOW = 60 * 60 * 1000;
+
+// 邮件一次性验证码 (手机不可用时的备用第二因素)
+// 验证码短期有效、只能使用一次，只保存 HMAC；发送频率和每个验证码的尝试次数都有限制
+// 用户需要配置邮箱地址 (users.json 的 email 字段或 LDAP 的邮箱属性)
+class EmailOtp {
+  constructor() {
+    this.enabled = process.env.EMAIL_OTP_ENABLED === 'true';
+    this.digits = 6;
+    this.ttlMs = (parseInt(process.env.EMAIL_OTP_TTL_MINUTES) || 10) * 60 * 1000;
+    this.resendIntervalMs = (parseInt(process.env.EMAIL_OTP_RESEND_SECONDS) || 60) * 1000;
+    this.maxSendsPerHour = parseInt(process.env.EMAIL_OTP_MAX_PER_HOUR) || 5;
+    this.maxAttempts = 5;
+    this.codes = new Map(); // username -> { hash, expiresAt, attempts, sentAt: [时间戳] }
+
+    if (this.enabled && !mailer.enabled) {
+      logger.warn('EMAIL_OTP_ENABLED is set but no SMTP transport is configured, email codes cannot be sent');
+    }
+
+    this.load();
+  }
+
+  load() {
+    try {
+      const codes = storage.read('email-otp') || {};
+      Object.entries(codes).forEach(([username, entry]) => {
+        this.codes.set(username, entry);
+      });
+    } catch (error) {
+      logger.error('Failed to load email codes', { error: error.message, storage: storage.type });
+    }
+  }
+
+  // 保存 (同时清理过期且不再影响发送频率的条目)
+  save() {
+    const now = Date.now();
+    const codes = {};
+    this.codes.forEach((entry, username) => {
+      entry.sentAt = entry.sentAt.filter(time => now - time < SEND_WINDOW);
+      if (entry.sentAt.length > 0 || (entry.hash && entry.expiresAt > now)) {
+        codes[username] = entry;
+      } else {
+        this.codes.delete(username);
+      }
+    });
+
+    try {
+      storage.write('email-otp', codes);
+    } catch (error) {
+      logger.error('Failed to save email codes', { error: error.message, storage: storage.type });
+    }
+  }
+
+  // HMAC-SHA256 (服务端密钥，与恢复码相同)，存储泄露时 6 位验证码无法离线穷举
+  // 旧版本保存的 SHA-256 哈希不再匹配，对应的验证码失效，需要重新发送
+  hash(username, code) {
+    return hmacKey.digest(`${username}:${code}`);
+  }
+
+  getEmail(username) {
+    const user = users.getUser(username);
+    return (user && user.email) || null;
+  }
+
+  // 用户是否可以使用邮件验证码
+  isAvailable(username) {
+    return this.enabled && mailer.enabled && Boolean(this.getEmail(username));
+  }
+
+  // 隐藏部分邮箱地址 (alice@example.com -> a***e@example.com)
+  maskEmail(email) {
+    const [local, domain] = String(email).split('@');
+    if (!domain) {
+      return '***';
+    }
+    const masked = local.length <= 2 ? `${local[0]}***` : `${local[0]}***${local[local.length - 1]}`;
+    return `${masked}@${domain}`;
+  }
+
+  // 检查发送频率，返回 { allowed: true } 或 { allowed: false, retryAfter: 秒 }
+  checkRateLimit(username) {
+    const now = Date.now();
+    const entry = this.codes.get(username);
+    const sentAt = entry ? entry.sentAt.filter(time => now - time < SEND_WINDOW) : [];
+
+    if (sentAt.length > 0 && now - sentAt[sentAt.length - 1] < this.resendIntervalMs) {
+      return { allowed: false, retryAfter: Math.ceil((sentAt[sentAt.length - 1] + this.resendIntervalMs - now) / 1000) };
+    }
+    if (sentAt.length >= this.maxSendsPerHour) {
+      return { allowed: false, retryAfter: Math.ceil((sentAt[0] + SEND_WINDOW - now) / 1000) };
+    }
+    return { allowed: true };
+  }
+
+  // 生成并发送新验证码 (之前的验证码失效)
+  // 返回 { success: true, email } 或 { success: false, reason: 'unavailable' | 'rate_limited' | 'send_failed', retryAfter }
+  async send(username) {
+    if (!this.isAvailable(username)) {
+      return { success: false, reason: 'unavailable' };
+    }
+
+    const limit = this.checkRateLimit(username);
+    if (!limit.allowed) {
+      return { success: false, reason: 'rate_limited', retryAfter: limit.retryAfter };
+    }
+
+    const email = this.getEmail(username);
+    const code = crypto.randomInt(0, 10 ** this.digits).toString().padStart(this.digits, '0');
+    const now = Date.now();
+    const entry = this.codes.get(username) || { sentAt: [] };
+
+    // 发送失败也计入频率限制，避免反复触发 SMTP 错误
+    entry.sentAt.push(now);
+    entry.hash = this.hash(username, code);
+    entry.expiresAt = now + this.ttlMs;
+    entry.attempts = 0;
+    this.codes.set(username, entry);
+    this.save();
+
+    try {
+      const minutes = Math.round(this.ttlMs / 60000);
+      await mailer.send({
+        to: email,
+        subject: 'Your sign-in code',
+        text: [
+          `Your ${branding.title} sign-in code is: ${code}`,
+          '',
+          `It expires in ${minutes} minutes and can be used once.`,
+          'If you did not try to sign in, change your password and contact an administrator.'
+        ].join('\n')
+      });
+    } catch (error) {
+      logger.error('Failed to send email code', { username, error: error.message });
+      delete entry.hash;
+      this.save();
+      return { success: false, reason: 'send_failed' };
+    }
+
+    logger.info('Email code sent', { username, email: this.maskEmail(email) });
+    return { success: true, email };
+  }
+
+  // 验证邮件验证码 (成功后立即失效，超过尝试次数后失效)
+  verify(username, code) {
+    const entry = this.codes.get(username);
+    const cleanCode = String(code || '').replace(/\D/g, '');
+
+    if (!entry || !entry.hash || entry.expiresAt <= Date.now() || cleanCode.length !== this.digits) {
+      return false;
+    }
+
+    const valid = crypto.timingSafeEqual(Buffer.from(this.hash(username, cleanCode), 'hex'), Buffer.from(entry.hash, 'hex'));
+    if (valid) {
+      delete entry.hash;
+      delete entry.expiresAt;
+    } else {
+      entry.attempts = (entry.attempts || 0) + 1;
+      if (entry.attempts >= this.maxAttempts) {
+        logger.warn('Email code invalidated after too many attempts', { username });
+        delete entry.hash;
+        delete entry.expiresAt;
+      }
+    }
+    this.save();
+    return valid;
+  }
+
+  // 是否有未过期的验证码 (用于显示输入框)
+  hasPendingCode(username) {
+    const entry = this.codes.get(username);
+    return Boolean(entry && entry.hash && entry.expiresAt > Date.now());
+  }
+}
+
+module.exports = new EmailOtp();
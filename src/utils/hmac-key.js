@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('./logger');
+const { dataPath, writeFileAtomic } = require('./storage');
+
+// 服务端 HMAC 密钥: 恢复码和邮件验证码只保存用此密钥计算的 HMAC，状态存储单独泄露时无法离线穷举
+// 优先使用 RECOVERY_CODE_KEY，否则首次使用时生成并保存到数据目录 (与哈希分开保存)
+class HmacKey {
+  constructor() {
+    this.key = null; // 第一次使用时加载
+  }
+
+  get() {
+    if (this.key) {
+      return this.key;
+    }
+    if (process.env.RECOVERY_CODE_KEY) {
+      this.key = process.env.RECOVERY_CODE_KEY;
+      return this.key;
+    }
+
+    const keyFile = dataPath('recovery-code-key');
+    if (fs.existsSync(keyFile)) {
+      this.key = fs.readFileSync(keyFile, 'utf8').trim();
+    }
+    if (!this.key) {
+      // 无法保存时抛出异常，避免生成重启后无法验证的哈希
+      const key = crypto.randomBytes(32).toString('hex');
+      writeFileAtomic(keyFile, key);
+      this.key = key;
+      logger.info('Generated HMAC key', { file: keyFile });
+    }
+    return this.key;
+  }
+
+  // HMAC-SHA256 (hex)
+  digest(value) {
+    return crypto.createHmac('sha256', this.get()).update(value).digest('hex');
+  }
+}
+
+module.exports = new HmacKey();
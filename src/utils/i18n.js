@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { VIEWS_DIR } = require('../views/layout');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'locales');
+const COOKIE_NAME = 'auth_lang';
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+// 认证页面的多语言文本
+// 内置目录 src/locales/<语言>.json，VIEWS_DIR/locales/<语言>.json 可以覆盖部分文本或添加新语言
+// 语言选择顺序: ?lang= 参数 (保存到 Cookie) > Cookie > 浏览器 Accept-Language > DEFAULT_LOCALE
+class I18n {
+  constructor() {
+    this.catalogs = {};
+    this.load();
+
+    const configured = (process.env.DEFAULT_LOCALE || 'en').toLowerCase();
+    this.defaultLocale = this.catalogs[configured] ? configured : 'en';
+  }
+
+  load() {
+    this.catalogs = {};
+    [BUILTIN_DIR, path.join(VIEWS_DIR, 'locales')].forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+        const locale = path.basename(file, '.json').toLowerCase();
+        try {
+          const messages = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          this.catalogs[locale] = { ...this.catalogs[locale], ...messages };
+        } catch (error) {
+          logger.error('Failed to load message catalog', { file: path.join(dir, file), error: error.message });
+        }
+      });
+    });
+  }
+
+  get locales() {
+    return Object.keys(this.catalogs).sort();
+  }
+
+  // 语言切换链接显示的名称 (各目录中的 language.name)
+  get localeNames() {
+    return Object.fromEntries(this.locales.map(locale => [locale, this.catalogs[locale]['language.name'] || locale]));
+  }
+
+  // 匹配支持的语言 (zh-CN -> zh)
+  match(value) {
+    const locale = String(value || '').trim().toLowerCase();
+    if (this.catalogs[locale]) {
+      return locale;
+    }
+    const base = locale.split('-')[0];
+    return this.catalogs[base] ? base : null;
+  }
+
+  // 按 Accept-Language 的权重选择语言
+  fromAcceptLanguage(header) {
+    const ranges = String(header || '').split(',')
+      .map(part => {
+        const [range, ...params] = part.trim().split(';');
+        const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        return { range, q: q ? parseFloat(q.slice(2)) || 0 : 1 };
+      })
+      .filter(entry => entry.range && entry.q > 0)
+      .sort((a, b) => b.q - a.q);
+
+    for (const { range } of ranges) {
+      const locale = this.match(range);
+      if (locale) {
+        return locale;
+      }
+    }
+    return null;
+  }
+
+  readCookie(req) {
+    const header = req.headers.cookie || '';
+    const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${COOKIE_NAME}=`));
+    return match ? decodeURIComponent(match.slice(COOKIE_NAME.length + 1)) : null;
+  }
+
+  negotiate(req) {
+    return this.match(this.readCookie(req)) || this.fromAcceptLanguage(req.get('Accept-Language')) || this.defaultLocale;
+  }
+
+  // 翻译函数: t('login.submit')、t('verify.trust', { days: 30 })，缺少的文本使用默认语言
+  translator(locale) {
+    const messages = this.catalogs[locale] || {};
+    const fallback = this.catalogs[this.defaultLocale] || {};
+    return (key, params = {}) => {
+      const message = messages[key] !== undefined ? messages[key] : fallback[key] !== undefined ? fallback[key] : key;
+      return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+    };
+  }
+
+  // Express 中间件: 处理 ?lang= 并设置模板使用的 res.locals.locale / localeNames / t
+  middleware() {
+    return (req, res, next) => {
+      const requested = this.match(req.query.lang);
+      if (requested) {
+        res.cookie(COOKIE_NAME, requested, { httpOnly: true, secure: true, sameSite: 'lax', path: '/auth', maxAge: COOKIE_MAX_AGE });
+      }
+
+      const locale = requested || this.negotiate(req);
+      res.locals.locale = locale;
+      res.locals.localeNames = this.localeNames;
+      res.locals.t = this.translator(locale);
+      next();
+    };
+  }
+}
+
+module.exports = new I18n();
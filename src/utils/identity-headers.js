@@ -0,0 +1,104 @@
+const logger = require('./logger');
+const jwt = require('./jwt');
+const users = require('./users');
+const { sessionPublicId } = require('./sessions');
+
+// 向上游应用传递已认证用户的身份
+// 头部名称可配置，设置为空字符串可禁用对应头部；客户端自带的同名头部总是会被移除
+class IdentityHeaders {
+  constructor() {
+    this.userHeader = this.headerName('IDENTITY_HEADER_USER', 'X-Forwarded-User');
+    this.rolesHeader = this.headerName('IDENTITY_HEADER_ROLES', 'X-Forwarded-Roles');
+    this.sessionHeader = this.headerName('IDENTITY_HEADER_SESSION', 'X-Forwarded-Session');
+
+    // 可选：签名的短期 JWT
+    this.jwtSecret = process.env.IDENTITY_JWT_SECRET || '';
+    this.jwtHeader = this.headerName('IDENTITY_JWT_HEADER', 'X-Forwarded-Identity');
+    this.jwtTtl = parseInt(process.env.IDENTITY_JWT_TTL) || 60;
+    this.jwtIssuer = process.env.IDENTITY_JWT_ISSUER || 'https-proxy';
+    this.jwtAudience = process.env.IDENTITY_JWT_AUDIENCE || '';
+
+    if (this.jwtSecret && this.jwtSecret.length < 32) {
+      logger.warn('IDENTITY_JWT_SECRET is shorter than 32 characters');
+    }
+  }
+
+  headerName(envName, defaultName) {
+    const value = process.env[envName];
+    return (value === undefined ? defaultName : value).trim().toLowerCase();
+  }
+
+  // 所有需要从客户端请求中移除的头部
+  get managedHeaders() {
+    return [this.userHeader, this.rolesHeader, this.sessionHeader, this.jwtHeader].filter(Boolean);
+  }
+
+  // 当前请求的已认证身份 (未认证返回 null)
+  getIdentity(req) {
+    // API 令牌请求没有会话
+    if (req.apiToken) {
+      const user = users.getUser(req.apiToken.username);
+      return {
+        username: req.apiToken.username,
+        roles: user ? user.roles : []
+      };
+    }
+
+    if (!req.session || !req.session.authenticated) {
+      return null;
+    }
+
+    // 会话 ID 本身是凭据，上游只得到不可逆的公开 ID (与管理控制台显示的一致)
+    const user = users.getUser(req.session.user);
+    return {
+      username: req.session.user,
+      roles: user ? user.roles : [],
+      sessionId: sessionPublicId(req.sessionID)
+    };
+  }
+
+  // 移除客户端伪造的身份头部
+  strip(target) {
+    this.managedHeaders.forEach(header => target.removeHeader(header));
+  }
+
+  // 注入身份头部 (identity 为空时只移除)
+  // target 可以是发往上游的代理请求，也可以是转发认证端点的响应
+  apply(target, identity) {
+    this.strip(target);
+
+    if (!identity || !identity.username) {
+      return;
+    }
+
+    const roles = identity.roles || [];
+
+    if (this.userHeader) {
+      target.setHeader(this.userHeader, identity.username);
+    }
+    if (this.rolesHeader) {
+      target.setHeader(this.rolesHeader, roles.join(','));
+    }
+    if (this.sessionHeader && identity.sessionId) {
+      target.setHeader(this.sessionHeader, identity.sessionId);
+    }
+
+    if (this.jwtSecret && this.jwtHeader) {
+      const now = Math.floor(Date.now() / 1000);
+      const payload = {
+        iss: this.jwtIssuer,
+        sub: identity.username,
+        roles,
+        sid: identity.sessionId,
+        iat: now,
+        exp: now + this.jwtTtl
+      };
+      if (this.jwtAudience) {
+        payload.aud = this.jwtAudience;
+      }
+      target.setHeader(this.jwtHeader, jwt.sign(payload, this.jwtSecret));
+    }
+  }
+}
+
+module.exports = new IdentityHeaders();
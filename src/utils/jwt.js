@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// 最小化的 HS256 JWT 实现 (用于向上游传递身份)
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// 签发 JWT (payload 中未提供 iat 时自动填充)
+function sign(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ iat: Math.floor(Date.now() / 1000), ...payload }));
+  return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+}
+
+// 验证 JWT 签名和有效期，失败返回 null
+function verify(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${body}`, secret));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (alg !== 'HS256') {
+      return null;
+    }
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { sign, verify };
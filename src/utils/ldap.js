@@ -0,0 +1,206 @@
+const fs = require('fs');
+const { Client, InvalidCredentialsError } = require('ldapts');
+const logger = require('./logger');
+
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    logger.error(`Invalid ${name}, ignoring`, { error: error.message });
+    return fallback;
+  }
+}
+
+// 转义 LDAP 过滤器中的特殊字符 (RFC 4515)
+function escapeFilter(value) {
+  return String(value).replace(/[\\*()\u0000]/g, char => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+// 从 DN 中取出第一个 RDN 的值 (cn=admins,ou=groups,... -> admins)
+function firstRdnValue(dn) {
+  const match = /^[^=]+=((?:\\.|[^,])*)/.exec(String(dn));
+  return match ? match[1].replace(/\\(.)/g, '$1') : String(dn);
+}
+
+// LDAP 目录认证 (先用服务账号搜索用户 DN，再以用户身份绑定验证密码)
+// 目录连接失败时返回 reason: 'unavailable' (本地配置的用户不经过目录，仍然可以登录)
+class LdapDirectory {
+  constructor() {
+    this.url = process.env.LDAP_URL || '';
+    this.startTls = process.env.LDAP_STARTTLS === 'true';
+    this.bindDn = process.env.LDAP_BIND_DN || '';
+    this.bindPassword = process.env.LDAP_BIND_PASSWORD || '';
+    this.baseDn = process.env.LDAP_BASE_DN || '';
+    this.userFilter = process.env.LDAP_USER_FILTER || '(uid={username})';
+    this.timeout = parseInt(process.env.LDAP_TIMEOUT) || 5000;
+
+    // 组查询: 用户条目的 memberOf 属性，或在 LDAP_GROUP_BASE_DN 下按 LDAP_GROUP_FILTER 搜索
+    this.groupAttribute = process.env.LDAP_GROUP_ATTRIBUTE || 'memberOf';
+    this.groupBaseDn = process.env.LDAP_GROUP_BASE_DN || '';
+    this.groupFilter = process.env.LDAP_GROUP_FILTER || '(|(member={dn})(uniqueMember={dn})(memberUid={username}))';
+    this.roleMap = parseJsonEnv('LDAP_ROLE_MAP', {}); // 组 DN 或 CN -> 本地角色
+    this.emailAttribute = process.env.LDAP_EMAIL_ATTRIBUTE || 'mail'; // 邮件验证码使用的邮箱属性
+
+    this.tlsOptions = {
+      rejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false'
+    };
+    if (process.env.LDAP_CA_FILE) {
+      try {
+        this.tlsOptions.ca = [fs.readFileSync(process.env.LDAP_CA_FILE)];
+      } catch (error) {
+        logger.error('Failed to read LDAP CA file', { error: error.message, file: process.env.LDAP_CA_FILE });
+      }
+    }
+
+    this.enabled = Boolean(this.url && this.baseDn);
+
+    if (this.enabled) {
+      logger.info('LDAP authentication enabled', {
+        url: this.url,
+        startTls: this.startTls,
+        baseDn: this.baseDn
+      });
+    }
+  }
+
+  createClient() {
+    return new Client({
+      url: this.url,
+      timeout: this.timeout,
+      connectTimeout: this.timeout,
+      tlsOptions: this.url.startsWith('ldaps://') ? this.tlsOptions : undefined
+    });
+  }
+
+  // 服务账号连接 (未配置时匿名)
+  async connect() {
+    const client = this.createClient();
+    try {
+      if (this.startTls) {
+        await client.startTLS(this.tlsOptions);
+      }
+      if (this.bindDn) {
+        await client.bind(this.bindDn, this.bindPassword);
+      }
+      return client;
+    } catch (error) {
+      await client.unbind().catch(() => {});
+      throw error;
+    }
+  }
+
+  // 查找用户条目
+  async findUser(client, username) {
+    const filter = this.userFilter.replace(/\{username\}/g, escapeFilter(username));
+    const { searchEntries } = await client.search(this.baseDn, {
+      scope: 'sub',
+      filter,
+      attributes: ['dn', this.groupAttribute, this.emailAttribute],
+      sizeLimit: 2
+    });
+    return searchEntries;
+  }
+
+  // 查找用户所属的组 DN
+  async findGroups(client, username, entry) {
+    // 属性名不区分大小写
+    const attribute = Object.keys(entry).find(key => key.toLowerCase() === this.groupAttribute.toLowerCase());
+    const raw = attribute ? entry[attribute] : null;
+    const groups = Array.isArray(raw) ? raw.slice() : raw ? [raw] : [];
+
+    if (this.groupBaseDn) {
+      const filter = this.groupFilter
+        .replace(/\{dn\}/g, escapeFilter(entry.dn))
+        .replace(/\{username\}/g, escapeFilter(username));
+      const { searchEntries } = await client.search(this.groupBaseDn, {
+        scope: 'sub',
+        filter,
+        attributes: ['dn']
+      });
+      searchEntries.forEach(group => groups.push(group.dn));
+    }
+
+    return groups.map(String);
+  }
+
+  // 读取用户条目的邮箱 (多值时取第一个)
+  getEmail(entry) {
+    const attribute = Object.keys(entry).find(key => key.toLowerCase() === this.emailAttribute.toLowerCase());
+    const raw = attribute ? entry[attribute] : null;
+    const value = Array.isArray(raw) ? raw[0] : raw;
+    return value ? String(value) : null;
+  }
+
+  // 组映射为本地角色 (键可以是完整 DN 或 CN，不区分大小写)
+  mapRoles(groups) {
+    const roleMap = new Map(Object.entries(this.roleMap).map(([group, roles]) => [group.toLowerCase(), roles]));
+    const roles = new Set();
+
+    groups.forEach(group => {
+      [group, firstRdnValue(group)].forEach(key => {
+        const mapped = roleMap.get(key.toLowerCase());
+        (Array.isArray(mapped) ? mapped : [mapped]).filter(Boolean).forEach(role => roles.add(role));
+      });
+    });
+
+    return Array.from(roles);
+  }
+
+  // 验证用户名和密码
+  // 返回 { success: true, dn, groups, roles, email } 或 { success: false, reason: 'unknown_user' | 'invalid_password' | 'unavailable' }
+  async authenticate(username, password) {
+    // 空密码会被当作匿名绑定而“成功”，必须拒绝
+    if (typeof username !== 'string' || !username || typeof password !== 'string' || !password) {
+      return { success: false, reason: 'invalid_password' };
+    }
+
+    let client;
+    try {
+      client = await this.connect();
+    } catch (error) {
+      logger.error('LDAP directory unavailable', { url: this.url, error: error.message });
+      return { success: false, reason: 'unavailable' };
+    }
+
+    try {
+      const entries = await this.findUser(client, username);
+      if (entries.length !== 1) {
+        if (entries.length > 1) {
+          logger.warn('LDAP user filter matched multiple entries', { username });
+        }
+        return { success: false, reason: 'unknown_user' };
+      }
+
+      const entry = entries[0];
+      const groups = await this.findGroups(client, username, entry);
+
+      // 以用户身份绑定验证密码 (使用单独的连接，避免影响服务账号连接)
+      const userClient = this.createClient();
+      try {
+        if (this.startTls) {
+          await userClient.startTLS(this.tlsOptions);
+        }
+        await userClient.bind(entry.dn, password);
+      } catch (error) {
+        if (error instanceof InvalidCredentialsError) {
+          return { success: false, reason: 'invalid_password' };
+        }
+        throw error;
+      } finally {
+        await userClient.unbind().catch(() => {});
+      }
+
+      return { success: true, dn: entry.dn, groups, roles: this.mapRoles(groups), email: this.getEmail(entry) };
+    } catch (error) {
+      logger.error('LDAP authentication error', { url: this.url, username, error: error.message });
+      return { success: false, reason: 'unavailable' };
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+}
+
+module.exports = new LdapDirectory();
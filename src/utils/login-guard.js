@@ -0,0 +1,229 @@
+const logger = require('./logger');
+const { storage } = require('./storage');
+const { auditEvent } = require('./audit');
+
+// 登录暴力破解防护
+// 按用户名和 IP 分别统计失败次数，失败后逐步增加响应延迟，超过阈值后临时锁定
+// 计数持久化到状态存储 (login-attempts)，重启后仍然有效
+class LoginGuard {
+  constructor() {
+    this.maxUserFailures = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+    this.maxIpFailures = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+    this.lockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+    this.failureWindowMs = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+    this.maxDelayMs = 10 * 1000;
+
+    this.state = { users: {}, ips: {} };
+    this.loadedVersion = 0;
+
+    this.load();
+  }
+
+  // 从存储加载计数
+  load() {
+    try {
+      const content = storage.read('login-attempts');
+      this.loadedVersion = storage.version('login-attempts');
+      if (!content) {
+        return;
+      }
+
+      this.state = {
+        users: content.users || {},
+        ips: content.ips || {}
+      };
+    } catch (error) {
+      logger.error('Failed to load login attempts', {
+        error: error.message,
+        storage: storage.type
+      });
+    }
+  }
+
+  // 被外部修改时 (如管理员解锁) 重新加载
+  refresh() {
+    try {
+      if (storage.version('login-attempts') !== this.loadedVersion) {
+        this.load();
+      }
+    } catch (error) {
+      logger.error('Failed to check login attempts', { error: error.message });
+    }
+  }
+
+  // 保存计数 (同时清理过期条目)
+  save() {
+    try {
+      this.prune();
+      storage.write('login-attempts', this.state);
+      this.loadedVersion = storage.version('login-attempts');
+    } catch (error) {
+      logger.error('Failed to save login attempts', {
+        error: error.message,
+        storage: storage.type
+      });
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+    ['users', 'ips'].forEach(scope => {
+      Object.entries(this.state[scope]).forEach(([key, entry]) => {
+        const lockExpired = !entry.lockedUntil || entry.lockedUntil <= now;
+        const windowExpired = now - entry.lastFailure > this.failureWindowMs;
+        if (lockExpired && windowExpired) {
+          delete this.state[scope][key];
+        }
+      });
+    });
+  }
+
+  getEntry(scope, key) {
+    const entry = key ? this.state[scope][key] : null;
+    if (!entry) {
+      return null;
+    }
+
+    // 失败窗口过期后重新计数
+    if (Date.now() - entry.lastFailure > this.failureWindowMs && (!entry.lockedUntil || entry.lockedUntil <= Date.now())) {
+      return null;
+    }
+    return entry;
+  }
+
+  // 检查用户名或 IP 是否被锁定
+  check(username, ip) {
+    this.refresh();
+    const now = Date.now();
+
+    for (const [scope, key] of [['users', username], ['ips', ip]]) {
+      const entry = this.getEntry(scope, key);
+      if (entry && entry.lockedUntil && entry.lockedUntil > now) {
+        return {
+          locked: true,
+          scope: scope === 'users' ? 'user' : 'ip',
+          retryAfter: Math.ceil((entry.lockedUntil - now) / 1000)
+        };
+      }
+    }
+
+    return { locked: false };
+  }
+
+  // 根据失败次数计算延迟 (指数增长，上限 10 秒)
+  getDelay(username, ip) {
+    const userEntry = this.getEntry('users', username);
+    const ipEntry = this.getEntry('ips', ip);
+    const failures = Math.max(userEntry ? userEntry.failures : 0, ipEntry ? ipEntry.failures : 0);
+
+    if (failures === 0) {
+      return 0;
+    }
+    return Math.min(500 * Math.pow(2, failures - 1), this.maxDelayMs);
+  }
+
+  // 在响应前等待递增的延迟
+  async delay(username, ip) {
+    const ms = this.getDelay(username, ip);
+    if (ms > 0) {
+      await new Promise(resolve => setTimeout(resolve, ms));
+    }
+  }
+
+  // 记录一次失败 (stage: password 或 mfa)
+  recordFailure(username, ip, stage) {
+    this.refresh();
+    const now = Date.now();
+
+    const increment = (scope, key, max) => {
+      if (!key) {
+        return null;
+      }
+
+      const entry = this.getEntry(scope, key) || { failures: 0 };
+      entry.failures += 1;
+      entry.lastFailure = now;
+
+      if (entry.failures >= max && !(entry.lockedUntil > now)) {
+        entry.lockedUntil = now + this.lockoutMs;
+        auditEvent('account_lockout', {
+          scope: scope === 'users' ? 'user' : 'ip',
+          target: key,
+          username,
+          ip,
+          stage,
+          failures: entry.failures,
+          lockedUntil: new Date(entry.lockedUntil).toISOString(),
+          outcome: 'failure'
+        });
+      }
+
+      this.state[scope][key] = entry;
+      return entry;
+    };
+
+    const userEntry = increment('users', username, this.maxUserFailures);
+    increment('ips', ip, this.maxIpFailures);
+
+    auditEvent(stage === 'mfa' ? 'mfa_failure' : 'login_failure', {
+      username,
+      ip,
+      failures: userEntry ? userEntry.failures : 0,
+      outcome: 'failure'
+    });
+
+    this.save();
+  }
+
+  // 登录成功后清除该用户名的失败计数 (IP 计数只随时间过期)
+  recordSuccess(username) {
+    this.refresh();
+    if (this.state.users[username]) {
+      delete this.state.users[username];
+      this.save();
+    }
+  }
+
+  // 管理员解锁用户名或 IP
+  unlock(target) {
+    this.refresh();
+    let unlocked = false;
+
+    ['users', 'ips'].forEach(scope => {
+      if (this.state[scope][target]) {
+        delete this.state[scope][target];
+        unlocked = true;
+      }
+    });
+
+    if (unlocked) {
+      this.save();
+      auditEvent('account_unlock', { target, outcome: 'success' });
+    }
+    return unlocked;
+  }
+
+  // 列出当前被锁定的用户名和 IP
+  listLocked() {
+    this.refresh();
+    const now = Date.now();
+    const locked = [];
+
+    ['users', 'ips'].forEach(scope => {
+      Object.entries(this.state[scope]).forEach(([key, entry]) => {
+        if (entry.lockedUntil && entry.lockedUntil > now) {
+          locked.push({
+            scope: scope === 'users' ? 'user' : 'ip',
+            target: key,
+            failures: entry.failures,
+            lockedUntil: new Date(entry.lockedUntil).toISOString()
+          });
+        }
+      });
+    });
+
+    return locked;
+  }
+}
+
+module.exports = new LoginGuard();
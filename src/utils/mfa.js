@@ -1,112 +1,380 @@
+const crypto = require('crypto');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('./logger');
+const webauthn = require('./webauthn');
+const trustedDevices = require('./trusted-devices');
+const secretBox = require('./secret-box');
+const hmacKey = require('./hmac-key');
+const totpPolicy = require('./totp-policy');
+const emailOtp = require('./email-otp');
+const branding = require('./branding');
+const { storage } = require('./storage');
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // 去掉容易混淆的字符
+const RECOVERY_CODES_LOW_THRESHOLD = 3;
+const RECOVERY_CODE_HASH = 'hmac-sha256';
+const PENDING_SETUP_TTL = 30 * 60 * 1000; // 待完成的 MFA 设置有效期 (30分钟)
 
 class MFAManager {
   constructor() {
-    this.pendingSetups = new Map(); // 临时存储待设置的 MFA 密钥
-    this.userSecrets = new Map(); // 存储用户的 MFA 密钥 (生产环境应使用数据库)
+    this.pendingSetups = new Map(); // 待完成的 MFA 设置 (持久化，重启后仍可完成设置)
+    this.userSecrets = new Map(); // 存储用户的 MFA 密钥
+    this.totpParams = new Map(); // 用户注册时保存的 TOTP 参数 { algorithm, digits, period, window }
+    this.usedSteps = new Map(); // 每个用户最后一次接受的 TOTP 时间步 (防重放)
+    this.recoveryCodes = new Map(); // 每个用户未使用的恢复码哈希
+    this.undecryptableSecrets = new Map(); // 无法解密的条目 (缺少旧密钥时)，保存时原样保留
+
+    // 从存储和环境变量加载已有的 MFA 状态
+    this.reload();
+  }
 
-    // 从环境变量加载已有的 MFA 密钥
+  // 重新加载所有 MFA 状态 (管理脚本修改后可发送 SIGHUP)
+  reload() {
+    this.userSecrets.clear();
+    this.totpParams.clear();
+    this.undecryptableSecrets.clear();
     this.loadUserSecrets();
+    this.loadUsedSteps();
+    this.loadRecoveryCodes();
+    this.loadPendingSetups();
+  }
+
+  // 读取存储中的文档，失败时记录错误并返回 null
+  readDocument(name, description) {
+    try {
+      return storage.read(name);
+    } catch (error) {
+      logger.error(`Failed to load ${description}`, { error: error.message, storage: storage.type, name });
+      return null;
+    }
+  }
+
+  writeDocument(name, data, description) {
+    try {
+      storage.write(name, data);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save ${description}`, { error: error.message, storage: storage.type, name });
+      return false;
+    }
   }
 
-  // 从环境变量或文件加载用户 MFA 密钥
+  // 从存储或环境变量加载用户 MFA 密钥
   loadUserSecrets() {
-    // 首先尝试从文件加载
-    this.loadFromFile();
+    // 首先从存储加载
+    const needsReencrypt = this.loadSecrets();
     
-    // 然后从环境变量加载（会覆盖文件中的相同用户）
+    // 然后从环境变量加载（会覆盖存储中的相同用户）
+    // 条目可以是加密后的对象 (export-mfa-secrets.js 的输出)、旧版本的明文 base32 字符串，
+    // 或带参数的明文对象 { "secret": "...", "algorithm": "sha256", "digits": 8 } (硬件令牌)
     const mfaSecrets = process.env.MFA_SECRETS;
     if (mfaSecrets) {
       try {
         const secrets = JSON.parse(mfaSecrets);
-        Object.entries(secrets).forEach(([username, secret]) => {
-          this.userSecrets.set(username, secret);
-        });
+        const loaded = this.decryptSecrets(secrets, 'MFA_SECRETS');
         logger.info('Loaded MFA secrets from environment for users', {
-          users: Object.keys(secrets)
+          users: loaded
         });
       } catch (error) {
         logger.error('Failed to parse MFA_SECRETS', { error: error.message });
       }
     }
-  }
 
-  // 从文件加载 MFA 密钥
-  loadFromFile() {
-    const fs = require('fs');
-    const path = require('path');
-    const dataDir = '/app/data';
-    const secretsFile = path.join(dataDir, 'mfa-secrets.json');
+    // 旧版本的明文文件或使用旧密钥加密的条目，重新加密保存
+    if (needsReencrypt) {
+      logger.info('Re-encrypting MFA secrets with the current key');
+      this.saveSecrets();
+    }
+  }
 
-    try {
-      // 确保数据目录存在
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-        logger.info('Created MFA data directory', { dataDir });
-      }
+  // 用户名和 TOTP 参数一起作为附加认证数据，参数被篡改时条目无法解密
+  secretAssociatedData(username, params) {
+    return params ? `${username}|totp:${params.algorithm}:${params.digits}:${params.period}:${params.window}` : username;
+  }
 
-      // 尝试读取密钥文件
-      if (fs.existsSync(secretsFile)) {
-        const fileContent = fs.readFileSync(secretsFile, 'utf8');
-        const secrets = JSON.parse(fileContent);
-        
-        Object.entries(secrets).forEach(([username, secret]) => {
-          this.userSecrets.set(username, secret);
-        });
-        
-        logger.info('Loaded MFA secrets from file', {
-          file: secretsFile,
-          users: Object.keys(secrets)
-        });
-      } else {
-        logger.info('No MFA secrets file found, starting fresh', { secretsFile });
-      }
-    } catch (error) {
-      logger.error('Failed to load MFA secrets from file', {
-        error: error.message,
-        file: secretsFile
-      });
+  // 加密条目，保存了 TOTP 参数的用户附带 totp 字段
+  encodeSecret(username, secret) {
+    const params = this.totpParams.get(username);
+    const entry = secretBox.encrypt(secret, this.secretAssociatedData(username, params));
+    if (params) {
+      entry.totp = params;
     }
+    return entry;
   }
 
-  // 保存 MFA 密钥到文件
-  saveToFile() {
-    const fs = require('fs');
-    const path = require('path');
-    const dataDir = '/app/data';
-    const secretsFile = path.join(dataDir, 'mfa-secrets.json');
+  // 解析条目，返回 { secret, params }
+  decodeSecret(entry, username) {
+    if (entry && typeof entry === 'object' && !secretBox.isEncrypted(entry) && typeof entry.secret === 'string') {
+      return { secret: entry.secret, params: totpPolicy.complete(entry, username) };
+    }
+
+    const params = entry && entry.totp ? { ...totpPolicy.legacyParams, ...totpPolicy.normalize(entry.totp, username) } : null;
+    return { secret: secretBox.decrypt(entry, this.secretAssociatedData(username, params)), params };
+  }
 
-    try {
-      // 确保数据目录存在
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
+  // 解密 { username: entry } 并加载到内存，返回成功加载的用户
+  decryptSecrets(secrets, source) {
+    const loaded = [];
+    Object.entries(secrets).forEach(([username, entry]) => {
+      try {
+        const { secret, params } = this.decodeSecret(entry, username);
+        this.userSecrets.set(username, secret);
+        if (params) {
+          this.totpParams.set(username, params);
+        } else {
+          this.totpParams.delete(username);
+        }
+        this.undecryptableSecrets.delete(username);
+        loaded.push(username);
+      } catch (error) {
+        logger.error('Failed to decrypt MFA secret', { username, source, error: error.message });
+        this.undecryptableSecrets.set(username, entry);
       }
+    });
+    return loaded;
+  }
+
+  // 从存储加载 MFA 密钥，返回是否需要重新加密
+  loadSecrets() {
+    const secrets = this.readDocument('mfa-secrets', 'MFA secrets');
+    if (!secrets) {
+      logger.info('No stored MFA secrets found, starting fresh', { storage: storage.type });
+      return false;
+    }
+
+    const loaded = this.decryptSecrets(secrets, 'mfa-secrets');
+    logger.info('Loaded MFA secrets', {
+      storage: storage.type,
+      users: loaded
+    });
+
+    // 只有全部条目都能解密时才重写，避免丢失无法解密的条目
+    return loaded.length === Object.keys(secrets).length &&
+      Object.values(secrets).some(entry => secretBox.needsReencrypt(entry));
+  }
 
-      // 将 Map 转换为普通对象
-      const secrets = {};
+  // 保存 MFA 密钥 (每个密钥单独加密)
+  saveSecrets() {
+    const secrets = {};
+    try {
+      this.undecryptableSecrets.forEach((entry, username) => {
+        secrets[username] = entry;
+      });
       this.userSecrets.forEach((secret, username) => {
-        secrets[username] = secret;
+        secrets[username] = this.encodeSecret(username, secret);
       });
+    } catch (error) {
+      logger.error('Failed to encrypt MFA secrets', { error: error.message });
+      return;
+    }
 
-      // 写入文件
-      fs.writeFileSync(secretsFile, JSON.stringify(secrets, null, 2), 'utf8');
-      
-      logger.info('Saved MFA secrets to file', {
-        file: secretsFile,
+    if (this.writeDocument('mfa-secrets', secrets, 'MFA secrets')) {
+      logger.info('Saved MFA secrets', {
+        storage: storage.type,
         users: Object.keys(secrets)
       });
-    } catch (error) {
-      logger.error('Failed to save MFA secrets to file', {
-        error: error.message,
-        file: secretsFile
+    }
+  }
+
+  // 加载已使用的 TOTP 时间步
+  loadUsedSteps() {
+    this.usedSteps.clear();
+    const steps = this.readDocument('mfa-used-steps', 'used TOTP steps') || {};
+    Object.entries(steps).forEach(([username, step]) => {
+      this.usedSteps.set(username, step);
+    });
+  }
+
+  // 保存已使用的 TOTP 时间步
+  saveUsedSteps() {
+    this.writeDocument('mfa-used-steps', Object.fromEntries(this.usedSteps), 'used TOTP steps');
+  }
+
+  // 用户的 TOTP 参数 (注册前或旧用户使用 RFC 6238 默认值，时间偏差容忍度取策略值)
+  getTotpParams(username) {
+    return this.totpParams.get(username) || { ...totpPolicy.legacyParams, window: totpPolicy.forUser(username).window };
+  }
+
+  // 生成 otpauth:// URL (包含算法、位数和周期)
+  buildOtpauthUrl(username, secret, params) {
+    return speakeasy.otpauthURL({
+      secret,
+      encoding: 'base32',
+      label: encodeURIComponent(`${branding.issuer} (${username})`),
+      issuer: branding.issuer,
+      algorithm: params.algorithm,
+      digits: params.digits,
+      period: params.period
+    });
+  }
+
+  // 生成指定时间的 TOTP 令牌
+  totpAt(secret, params, utcTime) {
+    return speakeasy.totp({
+      secret: secret,
+      encoding: 'base32',
+      algorithm: params.algorithm,
+      digits: params.digits,
+      step: params.period,
+      time: utcTime
+    });
+  }
+
+  // 验证令牌并返回匹配的时间步 (未匹配返回 null)
+  matchTokenStep(secret, token, utcTime, params) {
+    const result = speakeasy.totp.verifyDelta({
+      secret: secret,
+      encoding: 'base32',
+      token: token,
+      algorithm: params.algorithm,
+      digits: params.digits,
+      window: params.window, // 前后允许的时间窗口数 (时钟偏差容差)
+      step: params.period,
+      time: utcTime // 明确使用 UTC 时间戳
+    });
+
+    if (!result) {
+      return null;
+    }
+    return Math.floor(utcTime / params.period) + result.delta;
+  }
+
+  // 拒绝不晚于上次接受时间步的令牌 (同一验证码只能使用一次)
+  isReplayedStep(username, step) {
+    const lastStep = this.usedSteps.get(username);
+    return lastStep !== undefined && step <= lastStep;
+  }
+
+  recordUsedStep(username, step) {
+    this.usedSteps.set(username, step);
+    this.saveUsedSteps();
+  }
+
+  // 加载恢复码哈希
+  loadRecoveryCodes() {
+    this.recoveryCodes.clear();
+    const codes = this.readDocument('mfa-recovery-codes', 'recovery codes') || {};
+    Object.entries(codes).forEach(([username, entry]) => {
+      this.recoveryCodes.set(username, entry);
+    });
+  }
+
+  // 保存恢复码哈希 (明文恢复码从不落盘)
+  saveRecoveryCodes() {
+    this.writeDocument('mfa-recovery-codes', Object.fromEntries(this.recoveryCodes), 'recovery codes');
+  }
+
+  // 加载待完成的 MFA 设置 (密钥加密保存，丢弃已过期的设置)
+  loadPendingSetups() {
+    this.pendingSetups.clear();
+    const setups = this.readDocument('mfa-pending-setups', 'pending MFA setups') || {};
+    Object.entries(setups).forEach(([setupId, setup]) => {
+      if (setup.timestamp + PENDING_SETUP_TTL <= Date.now()) {
+        return;
+      }
+      try {
+        this.pendingSetups.set(setupId, { ...setup, secret: secretBox.decrypt(setup.secret, `${setup.username}:${setupId}`) });
+      } catch (error) {
+        logger.warn('Discarding undecryptable pending MFA setup', { setupId, username: setup.username, error: error.message });
+      }
+    });
+  }
+
+  savePendingSetups() {
+    const setups = {};
+    try {
+      this.pendingSetups.forEach((setup, setupId) => {
+        setups[setupId] = { ...setup, secret: secretBox.encrypt(setup.secret, `${setup.username}:${setupId}`) };
       });
+    } catch (error) {
+      logger.error('Failed to encrypt pending MFA setups', { error: error.message });
+      return;
     }
+    this.writeDocument('mfa-pending-setups', setups, 'pending MFA setups');
+  }
+
+  // 清理过期的设置请求，返回是否有变化
+  pruneExpiredSetups() {
+    let removed = 0;
+    this.pendingSetups.forEach((setup, setupId) => {
+      if (setup.timestamp + PENDING_SETUP_TTL <= Date.now()) {
+        this.pendingSetups.delete(setupId);
+        logger.info('Expired MFA setup removed', { setupId, username: setup.username });
+        removed++;
+      }
+    });
+    return removed > 0;
+  }
+
+  // 获取未过期的待完成设置
+  getPendingSetup(setupId) {
+    const setup = this.pendingSetups.get(setupId);
+    if (!setup || setup.timestamp + PENDING_SETUP_TTL <= Date.now()) {
+      return null;
+    }
+    return setup;
+  }
+
+  // 恢复码哈希 (忽略大小写、空格和连字符)
+  // HMAC-SHA256，用户名参与计算 (相同的码在不同用户下哈希不同)；没有 alg 的旧条目是未加盐的 SHA-256
+  hashRecoveryCode(username, code, alg) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (alg !== RECOVERY_CODE_HASH) {
+      return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+    return hmacKey.digest(`${username}:${normalized}`);
+  }
+
+  // 为用户生成一组新的一次性恢复码，旧的恢复码全部失效
+  generateRecoveryCodes(username) {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]).join('');
+      codes.push(`${chars.slice(0, 5)}-${chars.slice(5)}`);
+    }
+
+    this.recoveryCodes.set(username, {
+      alg: RECOVERY_CODE_HASH,
+      hashes: codes.map(code => this.hashRecoveryCode(username, code, RECOVERY_CODE_HASH)),
+      generatedAt: new Date().toISOString()
+    });
+    this.saveRecoveryCodes();
+
+    logger.info('Generated recovery codes', { username, count: codes.length });
+    return codes;
+  }
+
+  // 验证并消耗一个恢复码
+  verifyRecoveryCode(username, code) {
+    const entry = this.recoveryCodes.get(username);
+    if (!entry || typeof code !== 'string' || !code.trim()) {
+      return { success: false, remaining: entry ? entry.hashes.length : 0 };
+    }
+
+    const provided = Buffer.from(this.hashRecoveryCode(username, code, entry.alg), 'hex');
+    const index = entry.hashes.findIndex(hash => crypto.timingSafeEqual(Buffer.from(hash, 'hex'), provided));
+
+    if (index === -1) {
+      logger.warn('Invalid recovery code', { username, remaining: entry.hashes.length });
+      return { success: false, remaining: entry.hashes.length };
+    }
+
+    entry.hashes.splice(index, 1);
+    this.saveRecoveryCodes();
+
+    const remaining = entry.hashes.length;
+    logger.info('Recovery code used', { username, remaining });
+    return { success: true, remaining, low: remaining <= RECOVERY_CODES_LOW_THRESHOLD };
+  }
+
+  getRecoveryCodeCount(username) {
+    const entry = this.recoveryCodes.get(username);
+    return entry ? entry.hashes.length : 0;
   }
 
-  // 生成新的 MFA 密钥
   // 清理用户的旧设置会话
   cleanupUserSetups(username) {
     const toDelete = [];
@@ -120,10 +388,14 @@ class MFAManager {
       this.pendingSetups.delete(setupId);
       logger.info('Cleaned up old MFA setup', { setupId, username });
     });
+    if (toDelete.length > 0) {
+      this.savePendingSetups();
+    }
     
     return toDelete.length;
   }
 
+  // 生成新的 MFA 密钥
   generateSecret(username) {
     logger.info('Generating MFA secret', { username });
 
@@ -133,36 +405,31 @@ class MFAManager {
       logger.info('Cleaned up old setups before generating new one', { username, cleanedCount });
     }
 
-    const secret = speakeasy.generateSecret({
-      name: `HTTPS Proxy (${username})`,
-      issuer: 'HTTPS Proxy Service',
-      length: 32
-    });
+    const secret = speakeasy.generateSecret({ length: 32 });
+    const params = totpPolicy.forUser(username);
+    const otpauthUrl = this.buildOtpauthUrl(username, secret.base32, params);
 
     const setupId = uuidv4();
+    this.pruneExpiredSetups();
     this.pendingSetups.set(setupId, {
       username,
       secret: secret.base32,
+      totp: params,
       timestamp: Date.now()
     });
+    this.savePendingSetups();
 
     logger.info('MFA secret generated', {
       username,
       setupId,
       secretLength: secret.base32.length,
-      otpauthUrl: secret.otpauth_url
+      totp: params
     });
 
-    // 清理过期的设置请求 (30分钟)
-    setTimeout(() => {
-      this.pendingSetups.delete(setupId);
-      logger.info('Auto-cleaned expired MFA setup', { setupId, username });
-    }, 30 * 60 * 1000);
-
     return {
       setupId,
       secret: secret.base32,
-      qrCodeUrl: secret.otpauth_url
+      qrCodeUrl: otpauthUrl
     };
   }
 
@@ -184,153 +451,205 @@ class MFAManager {
       return false;
     }
 
+    const params = this.getTotpParams(username);
+
     // 清理输入的令牌（移除空格和非数字字符）
     const cleanToken = token.replace(/\D/g, '');
 
-    if (cleanToken.length !== 6) {
-      logger.warn('Invalid token length', { username, tokenLength: cleanToken.length });
+    if (cleanToken.length !== params.digits) {
+      logger.warn('Invalid token length', { username, tokenLength: cleanToken.length, expectedDigits: params.digits });
       return false;
     }
 
     // 使用 UTC 时间进行 TOTP 验证
     const utcTime = Math.floor(Date.now() / 1000);
 
-    const verified = speakeasy.totp.verify({
-      secret: secret,
-      encoding: 'base32',
-      token: cleanToken,
-      window: 2, // 前后2个时间窗口（1分钟容差）
-      step: 30, // 30秒步长
-      time: utcTime // 明确使用 UTC 时间戳
-    });
+    const matchedStep = this.matchTokenStep(secret, cleanToken, utcTime, params);
+    const replayed = matchedStep !== null && this.isReplayedStep(username, matchedStep);
+    const verified = matchedStep !== null && !replayed;
 
-    // 生成当前期望的令牌用于调试
-    const expectedToken = speakeasy.totp({
-      secret: secret,
-      encoding: 'base32',
-      step: 30,
-      time: utcTime
-    });
+    if (replayed) {
+      logger.warn('MFA token replay rejected', {
+        username,
+        matchedStep,
+        lastAcceptedStep: this.usedSteps.get(username)
+      });
+    } else if (verified) {
+      this.recordUsedStep(username, matchedStep);
+    }
 
-    logger.info('MFA token verification', {
-      username,
-      providedToken: cleanToken,
-      expectedToken: expectedToken,
-      verified,
-      utcTimestamp: utcTime,
-      utcTime: new Date(utcTime * 1000).toISOString(),
-      timeStep: Math.floor(utcTime / 30),
-      timeRemaining: 30 - (utcTime % 30),
-      secretExists: !!secret,
-      secretLength: secret ? secret.length : 0
-    });
+    // 不记录提交的或期望的验证码，日志只保留用户和结果
+    logger.info('MFA token verification', { username, verified, replayed });
 
     return verified;
   }
 
   // 完成 MFA 设置
   completeMFASetup(setupId, token) {
-    logger.info('Completing MFA setup', { setupId, tokenProvided: token });
-
-    const setup = this.pendingSetups.get(setupId);
+    const setup = this.getPendingSetup(setupId);
     if (!setup) {
-      logger.warn('Invalid or expired MFA setup ID', {
-        setupId,
-        availableSetups: Array.from(this.pendingSetups.keys())
-      });
+      logger.warn('Invalid or expired MFA setup ID');
       return { success: false, error: 'Invalid or expired setup' };
     }
 
+    const params = setup.totp || this.getTotpParams(setup.username);
+
     // 清理输入的令牌
     const cleanToken = token.replace(/\D/g, '');
 
-    if (cleanToken.length !== 6) {
+    if (cleanToken.length !== params.digits) {
       logger.warn('Invalid token length during setup', {
         username: setup.username,
         tokenLength: cleanToken.length,
+        expectedDigits: params.digits,
         setupId
       });
-      return { success: false, error: 'Token must be 6 digits' };
+      return { success: false, error: `Token must be ${params.digits} digits` };
+    }
+
+    // 周期不同时旧的时间步没有可比性 (重新注册了不同周期的认证器)
+    if (this.getTotpParams(setup.username).period !== params.period) {
+      this.usedSteps.delete(setup.username);
     }
 
     // 使用 UTC 时间进行 TOTP 验证
     const utcTime = Math.floor(Date.now() / 1000);
 
-    const verified = speakeasy.totp.verify({
-      secret: setup.secret,
-      encoding: 'base32',
-      token: cleanToken,
-      window: 2, // 前后2个时间窗口（1分钟容差）
-      step: 30, // 30秒步长
-      time: utcTime // 明确使用 UTC 时间戳
-    });
-
-    if (!verified) {
-      // 添加调试信息 - 也使用 UTC 时间
-      const currentToken = speakeasy.totp({
-        secret: setup.secret,
-        encoding: 'base32',
-        step: 30,
-        time: utcTime
-      });
+    const matchedStep = this.matchTokenStep(setup.secret, cleanToken, utcTime, params);
 
-      logger.warn('Invalid MFA token during setup', {
+    if (matchedStep !== null && this.isReplayedStep(setup.username, matchedStep)) {
+      logger.warn('MFA token replay rejected during setup', {
         username: setup.username,
         setupId,
-        providedToken: cleanToken,
-        expectedToken: currentToken,
-        utcTimestamp: utcTime,
-        utcTime: new Date(utcTime * 1000).toISOString(),
-        localTime: new Date().toISOString()
+        matchedStep,
+        lastAcceptedStep: this.usedSteps.get(setup.username)
       });
+      return { success: false, error: 'Code already used - please wait for the next code' };
+    }
+
+    if (matchedStep === null) {
+      logger.warn('Invalid MFA token during setup', { username: setup.username });
       return { success: false, error: 'Invalid token - please check your authenticator app time sync' };
     }
 
     // 保存用户的 MFA 密钥
     this.userSecrets.set(setup.username, setup.secret);
+    this.totpParams.set(setup.username, params);
+    this.undecryptableSecrets.delete(setup.username);
     this.pendingSetups.delete(setupId);
+    this.recordUsedStep(setup.username, matchedStep);
 
-    // 持久化到文件
-    this.saveToFile();
+    // 持久化
+    this.saveSecrets();
+    this.savePendingSetups();
+
+    // 生成一次性恢复码 (仅在此时返回明文)
+    const recoveryCodes = this.generateRecoveryCodes(setup.username);
 
     logger.info('MFA setup completed', {
       username: setup.username,
       setupId
     });
 
-    return { success: true };
+    return { success: true, recoveryCodes };
   }
 
-  // 检查用户是否已设置 MFA
+  // 检查用户是否已设置 TOTP
+  // 无法解密的密钥同样视为已设置，防止仅凭密码重新设置 MFA (需要配置旧密钥或由管理员重置)
   hasMFAEnabled(username) {
-    return this.userSecrets.has(username);
+    return this.userSecrets.has(username) || this.undecryptableSecrets.has(username);
   }
 
   // 获取用户的 MFA 状态
   getMFAStatus(username) {
+    const totp = this.hasMFAEnabled(username);
+    const webauthnCount = webauthn.getCredentials(username).length;
+    const params = this.getTotpParams(username);
+
     return {
-      enabled: this.hasMFAEnabled(username),
-      setupRequired: !this.hasMFAEnabled(username)
+      enabled: totp || webauthnCount > 0,
+      setupRequired: !totp && webauthnCount === 0,
+      totp,
+      totpDigits: params.digits,
+      totpPeriod: params.period,
+      webauthn: webauthnCount,
+      email: emailOtp.isAvailable(username), // 邮件验证码只作为备用因素，不能代替 MFA 设置
+      recoveryCodesRemaining: this.getRecoveryCodeCount(username)
     };
   }
 
+  // 敏感操作前确认新的第二因素
+  // 有 TOTP 时必须提供新的验证码，只使用安全密钥的用户要求最近 maxAge 毫秒内完成过 MFA 验证
+  confirmFresh(username, token, mfaVerifiedAt, maxAge = 5 * 60 * 1000) {
+    if (this.hasMFAEnabled(username)) {
+      return this.verifyToken(username, String(token || ''))
+        ? { success: true }
+        : { success: false, reason: 'token' };
+    }
+
+    if (mfaVerifiedAt && Date.now() - mfaVerifiedAt <= maxAge) {
+      return { success: true };
+    }
+    return { success: false, reason: 'reauth' };
+  }
+
   // 重置用户的 MFA (管理员功能)
   resetMFA(username) {
-    const hadMFA = this.userSecrets.has(username);
+    const hadMFA = this.userSecrets.has(username) || webauthn.hasCredentials(username);
     this.userSecrets.delete(username);
+    this.totpParams.delete(username);
+    this.undecryptableSecrets.delete(username);
+    webauthn.resetCredentials(username);
+    trustedDevices.revoke(username);
+
+    // 持久化更改
+    this.saveSecrets();
 
-    // 持久化更改到文件
-    this.saveToFile();
+    if (this.recoveryCodes.delete(username)) {
+      this.saveRecoveryCodes();
+    }
 
     logger.info('MFA reset for user', { username, hadMFA });
     return hadMFA;
   }
 
-  // 导出所有用户的 MFA 密钥 (用于持久化)
-  exportSecrets() {
+  // 直接设置用户的 TOTP 密钥 (管理脚本使用，例如导入硬件令牌)
+  // params 中未指定的字段使用该用户的策略
+  setSecret(username, secret, params = {}) {
+    const totp = totpPolicy.complete(params, username);
+    this.userSecrets.set(username, secret);
+    this.totpParams.set(username, totp);
+    this.undecryptableSecrets.delete(username);
+    this.usedSteps.delete(username);
+    this.saveSecrets();
+    this.saveUsedSteps();
+    logger.info('MFA secret set for user', { username, totp });
+    return totp;
+  }
+
+  // 只删除用户的 TOTP 密钥 (管理脚本使用)，保留安全密钥
+  removeSecret(username) {
+    const removedSecret = this.userSecrets.delete(username);
+    this.totpParams.delete(username);
+    const removedUndecryptable = this.undecryptableSecrets.delete(username);
+    const existed = removedSecret || removedUndecryptable;
+    if (existed) {
+      this.saveSecrets();
+    }
+    return existed;
+  }
+
+  // 导出所有用户的 MFA 密钥 (用于持久化)，默认使用当前密钥加密
+  // 明文导出时保存了参数的用户导出为 { secret, algorithm, digits, period, window }
+  exportSecrets({ plaintext = false } = {}) {
     const secrets = {};
     this.userSecrets.forEach((secret, username) => {
-      secrets[username] = secret;
+      const params = this.totpParams.get(username);
+      if (!plaintext) {
+        secrets[username] = this.encodeSecret(username, secret);
+      } else {
+        secrets[username] = params ? { secret, ...params } : secret;
+      }
     });
     return JSON.stringify(secrets);
   }
@@ -354,14 +673,8 @@ class MFAManager {
   }
 
   // 生成当前时间的 TOTP 令牌 (调试用)
-  generateCurrentToken(secret) {
-    const utcTime = Math.floor(Date.now() / 1000);
-    return speakeasy.totp({
-      secret: secret,
-      encoding: 'base32',
-      step: 30,
-      time: utcTime
-    });
+  generateCurrentToken(secret, params = totpPolicy.legacyParams) {
+    return this.totpAt(secret, params, Math.floor(Date.now() / 1000));
   }
 }
 
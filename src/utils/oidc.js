@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const logger = require('./logger');
+const users = require('./users');
+const { storage } = require('./storage');
+
+// 支持的 ID Token 签名算法
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+// 允许的时钟偏差 (秒)
+const CLOCK_SKEW = 60;
+
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    logger.error(`Invalid ${name}, ignoring`, { error: error.message });
+    return fallback;
+  }
+}
+
+// OpenID Connect 登录 (授权码 + PKCE)，作为密码之外的第一因素
+// ID Token 通过发行方的 JWKS 验证签名；按发行方 + sub 关联本地账户，之后仍然执行 MFA
+class OIDCProvider {
+  constructor() {
+    this.issuer = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+    this.clientId = process.env.OIDC_CLIENT_ID || '';
+    this.clientSecret = process.env.OIDC_CLIENT_SECRET || '';
+    this.redirectUri = process.env.OIDC_REDIRECT_URI || '';
+    this.scopes = process.env.OIDC_SCOPES || 'openid profile email';
+    this.displayName = process.env.OIDC_DISPLAY_NAME || 'Single Sign-On';
+
+    // 声明映射
+    this.usernameClaim = process.env.OIDC_USERNAME_CLAIM || 'preferred_username'; // 只用作自动创建账户的用户名
+    this.rolesClaim = process.env.OIDC_ROLES_CLAIM || 'groups';
+    this.userMap = parseJsonEnv('OIDC_USER_MAP', {}); // IdP 的 sub -> 已有的本地用户名 (显式关联)
+    this.roleMap = parseJsonEnv('OIDC_ROLE_MAP', null); // IdP 组 -> 本地角色 (自动创建账户的初始角色)
+    this.syncRoles = process.env.OIDC_SYNC_ROLES === 'true'; // 每次登录用 IdP 的角色覆盖本地角色
+    this.autoProvision = process.env.OIDC_AUTO_PROVISION === 'true';
+    this.requireMfa = process.env.OIDC_REQUIRE_MFA !== 'false';
+
+    this.enabled = Boolean(this.issuer && this.clientId);
+    this.metadata = null;
+    this.jwks = null;
+    this.jwksFetchedAt = 0;
+
+    if (this.enabled) {
+      logger.info('OIDC login enabled', { issuer: this.issuer, clientId: this.clientId });
+    }
+  }
+
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...(options.headers || {}) },
+      signal: AbortSignal.timeout(10000)
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body) {
+      const reason = body && (body.error_description || body.error);
+      throw new Error(`${url} returned ${response.status}${reason ? `: ${reason}` : ''}`);
+    }
+    return body;
+  }
+
+  // 获取发行方元数据 (缓存)
+  async getMetadata() {
+    if (!this.metadata) {
+      const metadata = await this.fetchJson(`${this.issuer}/.well-known/openid-configuration`);
+      if (metadata.issuer !== this.issuer) {
+        throw new Error(`Issuer mismatch in discovery document: ${metadata.issuer}`);
+      }
+      this.metadata = metadata;
+    }
+    return this.metadata;
+  }
+
+  // 查找签名密钥；遇到未知 kid 时刷新 JWKS (最多每分钟一次，应对密钥轮换)
+  async getSigningKey(kid, alg) {
+    const metadata = await this.getMetadata();
+    const find = () => (this.jwks || []).find(key =>
+      (!kid || key.kid === kid) && (!key.use || key.use === 'sig') && (!key.alg || key.alg === alg)
+    );
+
+    let jwk = find();
+    if (!jwk && Date.now() - this.jwksFetchedAt > 60 * 1000) {
+      const jwks = await this.fetchJson(metadata.jwks_uri);
+      this.jwks = Array.isArray(jwks.keys) ? jwks.keys : [];
+      this.jwksFetchedAt = Date.now();
+      jwk = find();
+    }
+
+    if (!jwk) {
+      throw new Error(`No signing key found for kid ${kid}`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  getRedirectUri(req) {
+    return this.redirectUri || `${req.protocol}://${req.get('host')}/auth/oidc/callback`;
+  }
+
+  // 生成授权地址，返回需要保存在会话中的 state / nonce / code_verifier
+  async createAuthorizationRequest(req) {
+    const metadata = await this.getMetadata();
+    const state = crypto.randomBytes(16).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', this.getRedirectUri(req));
+    url.searchParams.set('scope', this.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return {
+      url: url.href,
+      pending: { state, nonce, codeVerifier, createdAt: Date.now() }
+    };
+  }
+
+  // 用授权码换取并验证 ID Token
+  async handleCallback(req, pending) {
+    if (!pending || Date.now() - pending.createdAt > 10 * 60 * 1000) {
+      throw new Error('No pending authorization request');
+    }
+    if (req.query.error) {
+      throw new Error(`Authorization failed: ${req.query.error_description || req.query.error}`);
+    }
+    if (typeof req.query.state !== 'string' || req.query.state !== pending.state) {
+      throw new Error('State mismatch');
+    }
+    if (typeof req.query.code !== 'string' || !req.query.code) {
+      throw new Error('Missing authorization code');
+    }
+
+    const metadata = await this.getMetadata();
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: req.query.code,
+      redirect_uri: this.getRedirectUri(req),
+      client_id: this.clientId,
+      code_verifier: pending.codeVerifier
+    });
+    if (this.clientSecret) {
+      params.set('client_secret', this.clientSecret);
+    }
+
+    const tokens = await this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: params.toString()
+    });
+
+    if (!tokens.id_token) {
+      throw new Error('Token response did not include an id_token');
+    }
+    return this.verifyIdToken(tokens.id_token, pending.nonce);
+  }
+
+  // 验证 ID Token 签名和声明
+  async verifyIdToken(idToken, expectedNonce) {
+    const parts = String(idToken).split('.');
+    if (parts.length !== 3) {
+      throw new Error('Malformed id_token');
+    }
+
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new Error(`Unsupported id_token algorithm: ${header.alg}`);
+    }
+
+    const key = await this.getSigningKey(header.kid, header.alg);
+    const valid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key, padding: algorithm.padding, dsaEncoding: algorithm.dsaEncoding },
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) {
+      throw new Error('Invalid id_token signature');
+    }
+
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss !== this.issuer) {
+      throw new Error('id_token issuer mismatch');
+    }
+    if (!audiences.includes(this.clientId) || (audiences.length > 1 && claims.azp !== this.clientId)) {
+      throw new Error('id_token audience mismatch');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW < now) {
+      throw new Error('id_token expired');
+    }
+    if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW > now) {
+      throw new Error('id_token issued in the future');
+    }
+    if (claims.nonce !== expectedNonce) {
+      throw new Error('id_token nonce mismatch');
+    }
+
+    return claims;
+  }
+
+  // 根据组声明映射本地角色 (未配置 OIDC_ROLE_MAP 时返回 null)
+  mapRoles(claims) {
+    if (!this.roleMap) {
+      return null;
+    }
+
+    const raw = claims[this.rolesClaim];
+    const groups = Array.isArray(raw) ? raw : String(raw || '').split(/[\s,]+/).filter(Boolean);
+    const roles = new Set();
+    groups.forEach(group => {
+      const mapped = this.roleMap[group];
+      (Array.isArray(mapped) ? mapped : [mapped]).filter(Boolean).forEach(role => roles.add(role));
+    });
+    return Array.from(roles);
+  }
+
+  // 已关联的本地用户名 (oidc-links: 发行方 -> sub -> 用户名)
+  getLinkedUsername(claims) {
+    try {
+      const links = storage.read('oidc-links') || {};
+      return (links[claims.iss] && links[claims.iss][claims.sub]) || null;
+    } catch (error) {
+      logger.error('Failed to load OIDC account links', { error: error.message, storage: storage.type });
+      return null;
+    }
+  }
+
+  link(claims, username) {
+    try {
+      const links = storage.read('oidc-links') || {};
+      links[claims.iss] = { ...links[claims.iss], [claims.sub]: username };
+      storage.write('oidc-links', links);
+    } catch (error) {
+      logger.error('Failed to save OIDC account link', { error: error.message, username, storage: storage.type });
+    }
+  }
+
+  // 将声明映射为本地用户，返回 { success, user, linked, provisioned, roleChange } 或 { success: false, reason }
+  // 账户按发行方 + sub (IdP 内稳定且不可修改) 关联，不按可修改的用户名声明匹配已有账户:
+  //   1. 之前已关联的账户
+  //   2. OIDC_USER_MAP 中按 sub 显式指定的已有账户 (首次登录时建立关联)
+  //   3. OIDC_AUTO_PROVISION=true 时按用户名声明创建新账户 (同名本地账户已存在时拒绝)
+  resolveUser(claims) {
+    if (typeof claims.sub !== 'string' || !claims.sub) {
+      return { success: false, reason: 'missing_subject' };
+    }
+
+    const roles = this.mapRoles(claims);
+    let username = this.getLinkedUsername(claims);
+    let linked = false;
+    let provisioned = false;
+
+    if (!username) {
+      const claimedName = claims[this.usernameClaim];
+      username = this.userMap[claims.sub] || null;
+
+      if (!username) {
+        if (!this.autoProvision) {
+          return { success: false, reason: 'not_linked', username: claimedName };
+        }
+        if (typeof claimedName !== 'string' || !claimedName) {
+          return { success: false, reason: 'missing_username_claim' };
+        }
+        if (users.getUser(claimedName)) {
+          return { success: false, reason: 'username_taken', username: claimedName };
+        }
+
+        // 自动创建的用户使用随机密码哈希，只能通过 OIDC 登录
+        const passwordHash = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10);
+        const created = users.setUser(claimedName, { passwordHash, roles: roles && roles.length > 0 ? roles : undefined });
+        logger.info('Provisioned user from OIDC', { username: claimedName, roles: created.roles });
+        username = claimedName;
+        provisioned = true;
+      } else if (!users.getUser(username)) {
+        return { success: false, reason: 'unknown_user', username };
+      }
+
+      this.link(claims, username);
+      linked = true;
+    }
+
+    let user = users.getUser(username);
+    if (!user) {
+      // 关联的本地账户已被删除
+      return { success: false, reason: 'unknown_user', username };
+    }
+
+    // 角色同步需要显式开启，变更由调用方记录审计事件
+    let roleChange = null;
+    if (this.syncRoles && roles && roles.length > 0 && roles.slice().sort().join('|') !== user.roles.slice().sort().join('|')) {
+      roleChange = { from: user.roles, to: roles };
+      users.setRoles(username, roles);
+      user = users.getUser(username);
+    }
+
+    if (!user.enabled) {
+      return { success: false, reason: 'disabled', username };
+    }
+
+    return { success: true, user, linked, provisioned, roleChange };
+  }
+}
+
+module.exports = new OIDCProvider();
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// 只展示一次的秘密 (新恢复码、新 API 令牌) 在创建后跳转到展示页面前的暂存
+// 只保存在进程内存中，会话里只记录随机编号，秘密不会写入会话存储 (文件或 SQLite)
+// 取出一次后删除，超时未取出的丢弃 (用户需要重新生成)
+class OneTimeSecrets {
+  constructor() {
+    this.ttlMs = 5 * 60 * 1000;
+    this.entries = new Map(); // id -> { username, kind, value, expiresAt }
+  }
+
+  // 暂存秘密，返回编号
+  put(username, kind, value) {
+    this.sweep();
+    const id = crypto.randomBytes(16).toString('hex');
+    this.entries.set(id, { username, kind, value, expiresAt: Date.now() + this.ttlMs });
+    return id;
+  }
+
+  // 取出秘密 (只能取出一次，且必须是同一用户和类型)
+  take(id, username, kind) {
+    if (typeof id !== 'string') {
+      return null;
+    }
+    const entry = this.entries.get(id);
+    this.entries.delete(id);
+    if (!entry || entry.username !== username || entry.kind !== kind || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    return entry.value;
+  }
+
+  sweep() {
+    const now = Date.now();
+    this.entries.forEach((entry, id) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(id);
+      }
+    });
+  }
+}
+
+module.exports = new OneTimeSecrets();
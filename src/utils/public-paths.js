@@ -0,0 +1,42 @@
+const logger = require('./logger');
+const { normalizePath } = require('./request-path');
+
+// 配置哪些路径不需要认证就可以代理
+// 终止代理 (server.js) 和转发认证端点 (forward-auth.js) 共用同一份配置
+const defaultPublicPaths = [
+  '/api/auth',
+  '/login',
+  '/register',
+  '/public',
+  '/assets',
+  '/static',
+  '/favicon.ico',
+  '/robots.txt'
+];
+
+// 从环境变量加载公开路径配置
+const getPublicPaths = () => {
+  const envPaths = process.env.PUBLIC_PATHS;
+  if (envPaths) {
+    try {
+      const customPaths = JSON.parse(envPaths);
+      logger.info('Using custom public paths from environment', { paths: customPaths });
+      return customPaths;
+    } catch (error) {
+      logger.warn('Invalid PUBLIC_PATHS format, using defaults', { error: error.message });
+    }
+  }
+  return defaultPublicPaths;
+};
+
+const publicPaths = getPublicPaths();
+
+// 检查路径是否为公开路径 (按规范化后的路径匹配，/public/../admin 不是公开路径)
+function isPublicPath(rawPath) {
+  const path = normalizePath(rawPath);
+  return path !== null && publicPaths.some(publicPath => 
+    path === publicPath || path.startsWith(publicPath + '/')
+  );
+}
+
+module.exports = { publicPaths, isPublicPath };
@@ -0,0 +1,50 @@
+// 请求路径规范化: 访问规则、二次验证规则、公开路径和令牌范围都按规范化后的路径匹配
+// 原始路径中的编码和点段 (/admin/%2e%2e/x、//admin、/public/../admin) 会被上游解析成另一个路径，直接做前缀匹配可以绕过规则
+
+// 编码的斜杠、反斜杠和 NUL 在不同上游的解析不一致，无法可靠匹配，直接拒绝
+const AMBIGUOUS_ENCODING = /%(2f|5c|00)/i;
+
+// 解码百分号编码、合并重复的斜杠、解析 . 和 .. (不超出根路径)，保留末尾的斜杠
+// 路径无效 (包含上述编码或无效的百分号编码) 时返回 null，调用方应按不匹配或拒绝处理
+function normalizePath(rawPath) {
+  if (typeof rawPath !== 'string' || !rawPath.startsWith('/') || AMBIGUOUS_ENCODING.test(rawPath)) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(rawPath);
+  } catch (error) {
+    return null;
+  }
+
+  const segments = [];
+  decoded.split('/').forEach(segment => {
+    if (segment === '' || segment === '.') {
+      return;
+    }
+    if (segment === '..') {
+      segments.pop();
+      return;
+    }
+    segments.push(segment);
+  });
+
+  const trailingSlash = segments.length > 0 && /\/\.{0,2}$/.test(decoded);
+  return '/' + segments.join('/') + (trailingSlash ? '/' : '');
+}
+
+// 规则的 HTTP 方法列表 (大写)；HEAD 是没有响应体的 GET，限定 GET 的规则同样匹配 HEAD
+// 未限定方法时返回 null
+function normalizeMethods(methods) {
+  if (!Array.isArray(methods)) {
+    return null;
+  }
+  const normalized = methods.map(method => String(method).toUpperCase());
+  if (normalized.includes('GET') && !normalized.includes('HEAD')) {
+    normalized.push('HEAD');
+  }
+  return normalized;
+}
+
+module.exports = { normalizePath, normalizeMethods };
@@ -0,0 +1,72 @@
+// 登录完成后返回最初请求的地址
+// 只接受本站的相对路径，或主机名属于 FORWARD_AUTH_DOMAINS / SESSION_COOKIE_DOMAIN 的绝对地址 (转发认证模式)，防止开放重定向
+
+const allowedDomains = [process.env.FORWARD_AUTH_DOMAINS, process.env.SESSION_COOKIE_DOMAIN]
+  .filter(Boolean)
+  .join(',')
+  .split(',')
+  .map(domain => domain.trim().replace(/^\./, '').toLowerCase())
+  .filter(Boolean);
+
+// 主机名是否为允许的域名或其子域名
+function isAllowedHost(hostname, req) {
+  const host = String(hostname || '').toLowerCase();
+  if (host === String(req.hostname || '').toLowerCase()) {
+    return true;
+  }
+  return allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// 登录流程本身的页面不能作为返回地址 (避免循环跳转)
+const LOGIN_FLOW_PATHS = /^\/auth\/(login|logout|mfa-setup|mfa-verify|oidc)(\/|\?|#|$)/;
+
+// 校验返回地址，不合法时返回 null
+function sanitize(value, req) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > 2048 || /[\u0000-\u001f\\]/.test(value)) {
+    return null;
+  }
+
+  // 本站相对路径 (排除 "//host" 形式的协议相对地址)
+  if (value.startsWith('/')) {
+    return value.startsWith('//') || LOGIN_FLOW_PATHS.test(value) ? null : value;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  if ((url.protocol !== 'https:' && url.protocol !== 'http:') || url.username || url.password) {
+    return null;
+  }
+  return isAllowedHost(url.hostname, req) ? url.href : null;
+}
+
+// 在会话中记录返回地址
+function remember(req, value) {
+  const returnTo = sanitize(value, req);
+  if (returnTo) {
+    req.session.returnTo = returnTo;
+  }
+  return returnTo;
+}
+
+// 取出并清除返回地址 (没有时返回首页)
+function take(req) {
+  const returnTo = req.session.returnTo;
+  delete req.session.returnTo;
+  return returnTo || '/';
+}
+
+// 未登录时跳转的登录页地址: 浏览器的 GET 请求通过 rd 参数带上原地址，登录、设置和验证完成后返回
+function loginUrl(req) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return '/auth/login';
+  }
+  const returnTo = sanitize(req.originalUrl, req);
+  return returnTo && returnTo !== '/' ? `/auth/login?rd=${encodeURIComponent(returnTo)}` : '/auth/login';
+}
+
+module.exports = { sanitize, remember, take, loginUrl, isAllowedHost };
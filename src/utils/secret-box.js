@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('./logger');
+const { dataPath, writeFileAtomic } = require('./storage');
+
+const ALGORITHM = 'aes-256-gcm';
+const DEFAULT_KEY_FILE = dataPath('mfa-encryption-keys.json');
+
+// 解析密钥: 32 字节的 base64 / hex，其他字符串按口令派生
+function parseKey(value, source) {
+  const text = String(value || '').trim();
+  if (/^[0-9a-f]{64}$/i.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+
+  const decoded = Buffer.from(text, 'base64');
+  if (decoded.length === 32 && /^[A-Za-z0-9+/_-]+={0,2}$/.test(text)) {
+    return decoded;
+  }
+
+  logger.warn('Encryption key is not 32 bytes of base64/hex, deriving it from a passphrase', { source });
+  return crypto.scryptSync(text, 'https-proxy-mfa-secrets', 32);
+}
+
+// MFA 密钥静态加密 (AES-256-GCM，用户名作为附加认证数据，防止条目在用户之间互换)
+//
+// 密钥环来源 (按优先级):
+//   1. MFA_ENCRYPTION_KEY (当前密钥) + MFA_ENCRYPTION_KEY_VERSION (默认 1)
+//      + MFA_ENCRYPTION_PREVIOUS_KEYS ("1:<key>,2:<key>"，只用于解密旧条目)
+//   2. 密钥文件 MFA_ENCRYPTION_KEY_FILE (默认 <DATA_DIR>/mfa-encryption-keys.json)，不存在时自动生成
+//      格式: { "current": 2, "keys": { "1": "<base64>", "2": "<base64>" } }
+//
+// 加密后的条目: { "alg": "aes-256-gcm", "keyVersion": 2, "iv": "...", "tag": "...", "ciphertext": "..." }
+class SecretBox {
+  constructor() {
+    this.keyFile = process.env.MFA_ENCRYPTION_KEY_FILE || DEFAULT_KEY_FILE;
+    this.keys = new Map(); // 版本 -> Buffer
+    this.currentVersion = null;
+    this.source = process.env.MFA_ENCRYPTION_KEY ? 'env' : this.keyFile;
+  }
+
+  // 第一次加密或解密时才加载密钥 (没有 MFA 数据时不生成密钥文件)
+  ensureKeys() {
+    if (this.currentVersion === null) {
+      this.loadKeys();
+    }
+  }
+
+  // 密钥环是否来自环境变量 (此时轮换需要由运维更新环境变量)
+  get managedByEnv() {
+    return this.source === 'env';
+  }
+
+  loadKeys() {
+    this.keys.clear();
+    this.currentVersion = null;
+
+    if (process.env.MFA_ENCRYPTION_KEY) {
+      const version = parseInt(process.env.MFA_ENCRYPTION_KEY_VERSION) || 1;
+      String(process.env.MFA_ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf(':');
+        const previousVersion = parseInt(entry.slice(0, separator));
+        if (separator < 0 || !previousVersion) {
+          logger.error('Invalid MFA_ENCRYPTION_PREVIOUS_KEYS entry, expected <version>:<key>');
+          return;
+        }
+        this.keys.set(previousVersion, parseKey(entry.slice(separator + 1), `MFA_ENCRYPTION_PREVIOUS_KEYS:${previousVersion}`));
+      });
+
+      this.keys.set(version, parseKey(process.env.MFA_ENCRYPTION_KEY, 'MFA_ENCRYPTION_KEY'));
+      this.currentVersion = version;
+      return;
+    }
+
+    try {
+      if (fs.existsSync(this.keyFile)) {
+        const keyring = JSON.parse(fs.readFileSync(this.keyFile, 'utf8'));
+        Object.entries(keyring.keys || {}).forEach(([version, key]) => {
+          this.keys.set(parseInt(version), parseKey(key, `${this.keyFile}:${version}`));
+        });
+        this.currentVersion = parseInt(keyring.current);
+      }
+
+      if (!this.currentVersion || !this.keys.has(this.currentVersion)) {
+        if (this.keys.size > 0) {
+          throw new Error('Key file has no valid current key');
+        }
+        this.addKey();
+        logger.info('Generated MFA encryption key', { file: this.keyFile });
+      }
+    } catch (error) {
+      // 不能在没有密钥的情况下继续，否则新密钥会导致旧条目无法解密
+      logger.error('Failed to load MFA encryption keys', { error: error.message, file: this.keyFile });
+      throw error;
+    }
+  }
+
+  // 生成新版本密钥并设为当前密钥 (仅密钥文件模式)
+  addKey() {
+    if (this.managedByEnv) {
+      throw new Error('Encryption keys are configured via MFA_ENCRYPTION_KEY; set a new key and version there');
+    }
+    if (this.currentVersion === null && fs.existsSync(this.keyFile)) {
+      this.loadKeys();
+    }
+
+    const version = Math.max(0, ...this.keys.keys()) + 1;
+    this.keys.set(version, crypto.randomBytes(32));
+    this.currentVersion = version;
+    this.saveKeyFile();
+    return version;
+  }
+
+  // 删除不再使用的旧密钥 (仅密钥文件模式)
+  pruneKeys(versionsInUse) {
+    this.ensureKeys();
+    let removed = 0;
+    Array.from(this.keys.keys()).forEach(version => {
+      if (version !== this.currentVersion && !versionsInUse.has(version)) {
+        this.keys.delete(version);
+        removed++;
+      }
+    });
+    if (removed > 0) {
+      this.saveKeyFile();
+    }
+    return removed;
+  }
+
+  saveKeyFile() {
+    const keys = {};
+    this.keys.forEach((key, version) => {
+      keys[version] = key.toString('base64');
+    });
+    writeFileAtomic(this.keyFile, JSON.stringify({ current: this.currentVersion, keys }, null, 2));
+  }
+
+  isEncrypted(entry) {
+    return Boolean(entry && typeof entry === 'object' && entry.alg === ALGORITHM);
+  }
+
+  encrypt(plaintext, associatedData) {
+    this.ensureKeys();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.currentVersion), iv);
+    cipher.setAAD(Buffer.from(String(associatedData), 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return {
+      alg: ALGORITHM,
+      keyVersion: this.currentVersion,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  // 解密条目；旧版本的明文字符串原样返回
+  decrypt(entry, associatedData) {
+    if (typeof entry === 'string') {
+      return entry;
+    }
+    if (!this.isEncrypted(entry)) {
+      throw new Error('Unsupported secret format');
+    }
+    this.ensureKeys();
+
+    const key = this.keys.get(entry.keyVersion);
+    if (!key) {
+      throw new Error(`Unknown encryption key version ${entry.keyVersion}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(entry.iv, 'base64'));
+    decipher.setAAD(Buffer.from(String(associatedData), 'utf8'));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(entry.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  // 条目是否需要重新加密 (明文或使用旧密钥)
+  needsReencrypt(entry) {
+    this.ensureKeys();
+    return !this.isEncrypted(entry) || entry.keyVersion !== this.currentVersion;
+  }
+}
+
+module.exports = new SecretBox();
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Store } = require('express-session');
+const logger = require('./logger');
+const { DATA_DIR, writeFileAtomic } = require('./storage');
+
+// 会话没有 cookie 过期时间时的默认有效期
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+function getExpires(sess) {
+  const expires = sess && sess.cookie && sess.cookie.expires;
+  return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_TTL;
+}
+
+// 文件会话存储: 内存中保存，变更后合并写入 sessions.json
+class FileSessionStore extends Store {
+  constructor({ file, sweepInterval }) {
+    super();
+    this.file = file;
+    this.sessions = new Map(); // sid -> { data: JSON 字符串, expires }
+    this.saveTimer = null;
+
+    this.load();
+    this.sweepTimer = setInterval(() => this.sweep(), sweepInterval);
+    this.sweepTimer.unref();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const sessions = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        Object.entries(sessions).forEach(([sid, entry]) => {
+          this.sessions.set(sid, { data: JSON.stringify(entry.session), expires: entry.expires });
+        });
+      }
+      this.sweep();
+      logger.info('Loaded sessions from file', { file: this.file, sessions: this.sessions.size });
+    } catch (error) {
+      logger.error('Failed to load sessions from file', { error: error.message, file: this.file });
+    }
+  }
+
+  // 合并一秒内的多次变更
+  scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.flush(), 1000);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const sessions = {};
+      this.sessions.forEach((entry, sid) => {
+        sessions[sid] = { session: JSON.parse(entry.data), expires: entry.expires };
+      });
+      writeFileAtomic(this.file, JSON.stringify(sessions));
+    } catch (error) {
+      logger.error('Failed to save sessions to file', { error: error.message, file: this.file });
+    }
+  }
+
+  // 清理过期会话
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    this.sessions.forEach((entry, sid) => {
+      if (entry.expires <= now) {
+        this.sessions.delete(sid);
+        removed++;
+      }
+    });
+
+    if (removed > 0) {
+      logger.debug('Expired sessions removed', { removed, remaining: this.sessions.size });
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  get(sid, callback) {
+    const entry = this.sessions.get(sid);
+    if (!entry || entry.expires <= Date.now()) {
+      return callback(null, null);
+    }
+    callback(null, JSON.parse(entry.data));
+  }
+
+  set(sid, sess, callback) {
+    this.sessions.set(sid, { data: JSON.stringify(sess), expires: getExpires(sess) });
+    this.scheduleSave();
+    callback && callback(null);
+  }
+
+  touch(sid, sess, callback) {
+    const entry = this.sessions.get(sid);
+    if (entry) {
+      entry.expires = getExpires(sess);
+      this.scheduleSave();
+    }
+    callback && callback(null);
+  }
+
+  destroy(sid, callback) {
+    if (this.sessions.delete(sid)) {
+      this.scheduleSave();
+    }
+    callback && callback(null);
+  }
+
+  all(callback) {
+    const now = Date.now();
+    const sessions = {};
+    this.sessions.forEach((entry, sid) => {
+      if (entry.expires > now) {
+        sessions[sid] = JSON.parse(entry.data);
+      }
+    });
+    callback(null, sessions);
+  }
+
+  length(callback) {
+    callback(null, this.sessions.size);
+  }
+
+  clear(callback) {
+    this.sessions.clear();
+    this.scheduleSave();
+    callback && callback(null);
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    if (this.saveTimer) {
+      this.flush();
+    }
+  }
+}
+
+// SQLite 会话存储 (使用 Node.js 内置的 node:sqlite，需要 Node.js 22.5+)
+class SqliteSessionStore extends Store {
+  constructor({ file, sweepInterval }) {
+    super();
+
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = require('node:sqlite'));
+    } catch (error) {
+      throw new Error('SESSION_STORE=sqlite requires Node.js 22.5 or newer (node:sqlite)');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.file = file;
+    this.db = new DatabaseSync(file);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        expires INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS sessions_expires ON sessions (expires);
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM sessions WHERE sid = ? AND expires > ?'),
+      set: this.db.prepare('INSERT INTO sessions (sid, data, expires) VALUES (?, ?, ?) ON CONFLICT (sid) DO UPDATE SET data = excluded.data, expires = excluded.expires'),
+      touch: this.db.prepare('UPDATE sessions SET expires = ? WHERE sid = ?'),
+      destroy: this.db.prepare('DELETE FROM sessions WHERE sid = ?'),
+      all: this.db.prepare('SELECT sid, data FROM sessions WHERE expires > ?'),
+      length: this.db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE expires > ?'),
+      clear: this.db.prepare('DELETE FROM sessions'),
+      sweep: this.db.prepare('DELETE FROM sessions WHERE expires <= ?')
+    };
+
+    this.sweep();
+    this.sweepTimer = setInterval(() => this.sweep(), sweepInterval);
+    this.sweepTimer.unref();
+
+    logger.info('Using SQLite session store', { file });
+  }
+
+  // 执行语句并把异常转换为回调错误
+  run(callback, fn) {
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      logger.error('SQLite session store error', { error: error.message });
+      return callback && callback(error);
+    }
+    callback && callback(null, result);
+  }
+
+  sweep() {
+    try {
+      const { changes } = this.statements.sweep.run(Date.now());
+      if (changes > 0) {
+        logger.debug('Expired sessions removed', { removed: changes });
+      }
+      return changes;
+    } catch (error) {
+      logger.error('Failed to sweep expired sessions', { error: error.message });
+      return 0;
+    }
+  }
+
+  get(sid, callback) {
+    this.run(callback, () => {
+      const row = this.statements.get.get(sid, Date.now());
+      return row ? JSON.parse(row.data) : null;
+    });
+  }
+
+  set(sid, sess, callback) {
+    this.run(callback, () => {
+      this.statements.set.run(sid, JSON.stringify(sess), getExpires(sess));
+    });
+  }
+
+  touch(sid, sess, callback) {
+    this.run(callback, () => {
+      this.statements.touch.run(getExpires(sess), sid);
+    });
+  }
+
+  destroy(sid, callback) {
+    this.run(callback, () => {
+      this.statements.destroy.run(sid);
+    });
+  }
+
+  all(callback) {
+    this.run(callback, () => {
+      const sessions = {};
+      this.statements.all.all(Date.now()).forEach(row => {
+        sessions[row.sid] = JSON.parse(row.data);
+      });
+      return sessions;
+    });
+  }
+
+  length(callback) {
+    this.run(callback, () => this.statements.length.get(Date.now()).count);
+  }
+
+  clear(callback) {
+    this.run(callback, () => {
+      this.statements.clear.run();
+    });
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    this.db.close();
+  }
+}
+
+// 根据 SESSION_STORE 创建会话存储 (file | sqlite | memory)
+function createSessionStore() {
+  const type = (process.env.SESSION_STORE || 'file').toLowerCase();
+  const sweepInterval = (parseInt(process.env.SESSION_SWEEP_MINUTES) || 10) * 60 * 1000;
+
+  if (type === 'memory') {
+    logger.warn('Using in-memory session store, sessions will not survive restarts');
+    return null; // express-session 默认的 MemoryStore
+  }
+
+  if (type === 'sqlite') {
+    return new SqliteSessionStore({ file: path.join(DATA_DIR, 'sessions.db'), sweepInterval });
+  }
+
+  if (type !== 'file') {
+    logger.warn('Unknown SESSION_STORE, using file store', { type });
+  }
+  return new FileSessionStore({ file: path.join(DATA_DIR, 'sessions.json'), sweepInterval });
+}
+
+// 会话密钥: 优先使用 SESSION_SECRET，否则首次启动时生成并保存到数据目录
+let sessionSecret = null;
+function loadSessionSecret() {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+  if (sessionSecret) {
+    return sessionSecret;
+  }
+
+  const secretFile = path.join(DATA_DIR, 'session-secret');
+  try {
+    if (fs.existsSync(secretFile)) {
+      sessionSecret = fs.readFileSync(secretFile, 'utf8').trim();
+    }
+    if (!sessionSecret) {
+      sessionSecret = crypto.randomBytes(32).toString('hex');
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      writeFileAtomic(secretFile, sessionSecret);
+      logger.info('Generated persistent session secret', { file: secretFile });
+    }
+  } catch (error) {
+    logger.error('Failed to persist session secret, sessions will not survive restarts', {
+      error: error.message,
+      file: secretFile
+    });
+    sessionSecret = sessionSecret || crypto.randomBytes(32).toString('hex');
+  }
+
+  return sessionSecret;
+}
+
+module.exports = { createSessionStore, loadSessionSecret, FileSessionStore, SqliteSessionStore };
@@ -0,0 +1,95 @@
+const logger = require('./logger');
+
+// 会话超时: 空闲超时 (无活动后锁定，需要重新进行第二因素验证) 和绝对有效期 (从登录开始计算，必须重新完整登录)
+// 每次活动都会顺延空闲超时，但不会延长绝对有效期
+class SessionTimeouts {
+  constructor() {
+    this.idleMs = (parseInt(process.env.SESSION_IDLE_MINUTES) || 60) * 60 * 1000;
+    this.absoluteMs = (parseInt(process.env.SESSION_ABSOLUTE_HOURS) || 24) * 60 * 60 * 1000;
+
+    // 活动时间最多每分钟更新一次，避免每个代理请求都写入会话存储
+    this.touchInterval = Math.min(60 * 1000, this.idleMs / 10);
+
+    if (this.idleMs >= this.absoluteMs) {
+      logger.warn('SESSION_IDLE_MINUTES is not shorter than SESSION_ABSOLUTE_HOURS, idle timeout has no effect');
+    }
+  }
+
+  // 会话状态: 'active' | 'idle' | 'expired'，未登录 (也未被空闲锁定) 的会话返回 null
+  check(session) {
+    if (!session || (!session.authenticated && !session.idleLocked)) {
+      return null;
+    }
+
+    const now = Date.now();
+    const loginAt = session.idleLocked ? session.reauthLoginAt : session.loginAt;
+
+    // 升级前创建的会话没有时间戳，从现在开始计算
+    if (!loginAt) {
+      if (session.authenticated) {
+        session.loginAt = now;
+        session.lastActivityAt = now;
+        return 'active';
+      }
+      return 'expired';
+    }
+
+    if (now - loginAt >= this.absoluteMs) {
+      return 'expired';
+    }
+    if (session.idleLocked) {
+      return 'idle';
+    }
+    if (now - (session.lastActivityAt || loginAt) >= this.idleMs) {
+      return 'idle';
+    }
+    return 'active';
+  }
+
+  // 记录活动 (顺延空闲超时)
+  touch(session) {
+    const now = Date.now();
+    if (!session.lastActivityAt || now - session.lastActivityAt >= this.touchInterval) {
+      session.lastActivityAt = now;
+    }
+  }
+
+  // 空闲锁定: 保留第一因素，重新通过第二因素验证后恢复会话 (绝对有效期不变)
+  lock(session) {
+    if (!session.idleLocked) {
+      session.reauthLoginAt = session.loginAt;
+      session.username = session.user;
+    }
+    session.passwordVerified = true;
+    session.idleLocked = true;
+    delete session.authenticated;
+    delete session.user;
+    delete session.mfaVerifiedAt;
+  }
+
+  // 登录完成 (新登录或空闲锁定后重新验证)，返回登录时间
+  complete(session) {
+    const now = Date.now();
+    let loginAt = now;
+
+    if (session.idleLocked && session.reauthLoginAt) {
+      loginAt = session.reauthLoginAt;
+    } else if (session.cookie) {
+      // 新登录从现在开始计算绝对有效期，Cookie 同时过期
+      session.cookie.maxAge = this.absoluteMs;
+    }
+
+    this.unlock(session);
+    session.loginAt = loginAt;
+    session.lastActivityAt = now;
+    return loginAt;
+  }
+
+  // 清除空闲锁定状态 (重新输入密码或单点登录时按新登录处理)
+  unlock(session) {
+    delete session.idleLocked;
+    delete session.reauthLoginAt;
+  }
+}
+
+module.exports = new SessionTimeouts();
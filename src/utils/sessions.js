@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// 按用户查找和销毁会话 (使用 express-session 存储的 all / destroy 接口)
+
+// 会话 ID 本身是凭据，页面上只显示它的哈希前缀
+function sessionPublicId(sid) {
+  return crypto.createHash('sha256').update(String(sid)).digest('hex').slice(0, 16);
+}
+
+// 读取存储中的所有会话
+function listSessions(store) {
+  return new Promise((resolve, reject) => {
+    if (typeof store.all !== 'function') {
+      return reject(new Error('Session store does not support listing sessions'));
+    }
+
+    store.all((error, sessions) => {
+      if (error) {
+        return reject(error);
+      }
+
+      // MemoryStore 返回对象，其他存储可能返回数组
+      const entries = Array.isArray(sessions)
+        ? sessions.map(session => [session.id || session.sid, session])
+        : Object.entries(sessions || {});
+
+      resolve(entries
+        .filter(([, session]) => session)
+        .map(([sid, session]) => ({ sid, publicId: sessionPublicId(sid), session })));
+    });
+  });
+}
+
+// 列出属于某个用户的会话 (包括仅完成密码验证的会话)
+async function listUserSessions(store, username) {
+  const sessions = await listSessions(store);
+  return sessions.filter(({ session }) => session.user === username || session.username === username);
+}
+
+function destroySession(store, sid) {
+  return new Promise(resolve => {
+    store.destroy(sid, error => {
+      if (error) {
+        logger.error('Failed to destroy session', { error: error.message });
+      }
+      resolve(!error);
+    });
+  });
+}
+
+// 销毁用户的所有会话 (可排除当前会话)，返回销毁数量
+async function destroyUserSessions(store, username, exceptSessionId) {
+  const sessions = await listUserSessions(store, username);
+  const targets = sessions.filter(({ sid }) => sid !== exceptSessionId);
+
+  await Promise.all(targets.map(({ sid }) => destroySession(store, sid)));
+
+  logger.info('User sessions destroyed', { username, destroyed: targets.length, kept: exceptSessionId ? 1 : 0 });
+  return targets.length;
+}
+
+module.exports = { sessionPublicId, listSessions, listUserSessions, destroySession, destroyUserSessions };
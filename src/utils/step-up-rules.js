@@ -0,0 +1,151 @@
+const fs = require('fs');
+const logger = require('./logger');
+const returnUrl = require('./return-url');
+const { dataPath } = require('./storage');
+const { normalizePath, normalizeMethods } = require('./request-path');
+
+// 等待重放的表单最大长度 (保存在会话中) 和有效期
+const MAX_REPLAY_BODY = 64 * 1024;
+const PENDING_TTL = 15 * 60 * 1000;
+
+// 敏感路径的二次验证 (step-up MFA)
+// 即使会话有效，访问命中规则的路径也要求最近 N 分钟内完成过第二因素验证
+//
+// 规则格式:
+//   { "path": "/billing" }                                           - 路径前缀，使用默认有效期
+//   { "pattern": "^/api/.*/delete", "methods": ["POST", "DELETE"] }   - 正则表达式，限定 HTTP 方法
+//   { "path": "/admin/users", "maxAgeMinutes": 2 }                    - 单独指定有效期
+class StepUpRules {
+  constructor() {
+    this.rulesFile = dataPath('step-up-rules.json');
+    this.defaultMaxAgeMinutes = parseInt(process.env.STEP_UP_MAX_AGE_MINUTES) || 5;
+    this.rules = [];
+
+    this.loadRules();
+  }
+
+  // 从环境变量 STEP_UP_RULES 或 step-up-rules.json 加载规则
+  loadRules() {
+    let rawRules = [];
+    let source = 'none';
+
+    try {
+      if (process.env.STEP_UP_RULES) {
+        rawRules = JSON.parse(process.env.STEP_UP_RULES);
+        source = 'env';
+      } else if (fs.existsSync(this.rulesFile)) {
+        rawRules = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+        source = this.rulesFile;
+      }
+    } catch (error) {
+      // 规则无法解析时要求所有受保护路径都进行二次验证
+      logger.error('Failed to parse step-up rules, requiring step-up for all non-public paths', { error: error.message });
+      this.rules = [{ index: -1, path: '/', regex: null, methods: null, maxAge: this.defaultMaxAgeMinutes * 60 * 1000 }];
+      return;
+    }
+
+    if (!Array.isArray(rawRules)) {
+      logger.error('Step-up rules must be a JSON array, ignoring', { source });
+      rawRules = [];
+    }
+
+    this.rules = rawRules.map((rule, index) => this.compileRule(rule, index)).filter(Boolean);
+
+    if (this.rules.length > 0) {
+      logger.info('Loaded step-up rules', { source, rules: this.rules.length });
+    }
+  }
+
+  compileRule(rule, index) {
+    if (!rule || (!rule.path && !rule.pattern)) {
+      logger.warn('Ignoring invalid step-up rule', { index, rule });
+      return null;
+    }
+
+    let regex = null;
+    if (rule.pattern) {
+      try {
+        regex = new RegExp(rule.pattern);
+      } catch (error) {
+        logger.warn('Ignoring step-up rule with invalid pattern', { index, pattern: rule.pattern, error: error.message });
+        return null;
+      }
+    }
+
+    const maxAgeMinutes = parseInt(rule.maxAgeMinutes) || this.defaultMaxAgeMinutes;
+
+    return {
+      index,
+      path: rule.path || null,
+      regex,
+      methods: normalizeMethods(rule.methods),
+      maxAge: maxAgeMinutes * 60 * 1000
+    };
+  }
+
+  matches(rule, requestPath, method) {
+    if (rule.methods && !rule.methods.includes(method)) {
+      return false;
+    }
+
+    if (rule.regex) {
+      return rule.regex.test(requestPath);
+    }
+
+    return rule.path === '/' || requestPath === rule.path || requestPath.startsWith(rule.path.endsWith('/') ? rule.path : rule.path + '/');
+  }
+
+  // 检查请求是否需要二次验证
+  // 返回 { required: false } 或 { required: true, rule, maxAge }
+  // 按规范化后的路径匹配；无法规范化的路径按命中处理 (使用默认有效期)
+  check(requestPath, method, mfaVerifiedAt) {
+    const normalized = normalizePath(requestPath);
+    const rule = normalized === null
+      ? { index: -1, maxAge: this.defaultMaxAgeMinutes * 60 * 1000 }
+      : this.rules.find(candidate => this.matches(candidate, normalized, method.toUpperCase()));
+    if (!rule) {
+      return { required: false };
+    }
+
+    if (mfaVerifiedAt && Date.now() - mfaVerifiedAt <= rule.maxAge) {
+      return { required: false, rule: rule.index };
+    }
+    return { required: true, rule: rule.index, maxAge: rule.maxAge };
+  }
+
+  // 在会话中记录触发二次验证的请求，验证通过后重定向 (GET) 或由浏览器重新提交 (表单 POST)
+  rememberRequest(req) {
+    const pending = { method: 'GET', url: req.originalUrl, createdAt: Date.now() };
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      // 只有普通表单可以重新提交，其他请求验证后返回来源页面
+      const body = req.body && typeof req.body === 'object' ? req.body : null;
+      const isForm = (req.get('Content-Type') || '').includes('application/x-www-form-urlencoded');
+      const isFlat = body && Object.values(body).every(value => typeof value === 'string');
+
+      if (req.method === 'POST' && isForm && isFlat && JSON.stringify(body).length <= MAX_REPLAY_BODY) {
+        pending.method = 'POST';
+        pending.body = body;
+      } else {
+        pending.url = returnUrl.sanitize(req.get('Referer'), req) || '/';
+      }
+    }
+
+    req.session.stepUp = pending;
+    return pending;
+  }
+
+  // 验证通过后返回指定页面 (API 客户端通过 ?rd= 传入)
+  rememberReturnUrl(req, value) {
+    const url = returnUrl.sanitize(value, req);
+    if (url) {
+      req.session.stepUp = { method: 'GET', url, createdAt: Date.now() };
+    }
+  }
+
+  isPendingValid(pending) {
+    return Boolean(pending && pending.url && Date.now() - pending.createdAt <= PENDING_TTL);
+  }
+}
+
+module.exports = new StepUpRules();
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// 数据目录 (默认 /app/data)
+const DATA_DIR = path.resolve(process.env.DATA_DIR || '/app/data');
+
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+// 写入临时文件并刷盘后重命名，崩溃时旧文件保持完整
+function writeFileAtomic(file, content, mode = 0o600) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpFile, 'w', mode);
+  try {
+    fs.writeFileSync(fd, content, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpFile, file);
+
+  // 目录项也刷盘，保证重命名本身持久化 (部分平台不支持对目录 fsync)
+  try {
+    const dirFd = fs.openSync(path.dirname(file), 'r');
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch (error) {
+    // 忽略
+  }
+}
+
+// 认证状态存储接口: 按名称读写 JSON 文档 (MFA 密钥、待完成的 MFA 设置、已使用的时间步、恢复码等)
+//   read(name)    -> 文档对象，不存在时返回 null，内容损坏时抛出异常
+//   write(name, data)
+//   version(name) -> 文档版本 (文件修改时间或递增计数)，用于检测其他进程 (管理脚本) 的修改
+//   close()
+
+// 文件存储: 每个文档保存为 <DATA_DIR>/<name>.json，原子写入
+class FileStorage {
+  constructor(dataDir) {
+    this.type = 'file';
+    this.dataDir = dataDir;
+  }
+
+  file(name) {
+    return path.join(this.dataDir, `${name}.json`);
+  }
+
+  read(name) {
+    const file = this.file(name);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  write(name, data) {
+    writeFileAtomic(this.file(name), JSON.stringify(data, null, 2));
+  }
+
+  version(name) {
+    try {
+      return fs.statSync(this.file(name)).mtimeMs;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  close() {}
+}
+
+// SQLite 存储 (使用 Node.js 内置的 node:sqlite，需要 Node.js 22.5+)
+// 第一次读取某个文档时自动导入已有的 JSON 文件
+class SqliteStorage {
+  constructor(dataDir, file) {
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = require('node:sqlite'));
+    } catch (error) {
+      throw new Error('STORAGE_BACKEND=sqlite requires Node.js 22.5 or newer (node:sqlite)');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.type = 'sqlite';
+    this.dataDir = dataDir;
+    this.file = file;
+    this.db = new DatabaseSync(file);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA busy_timeout = 5000;
+      CREATE TABLE IF NOT EXISTS documents (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        version INTEGER NOT NULL DEFAULT 1,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    this.statements = {
+      read: this.db.prepare('SELECT data FROM documents WHERE name = ?'),
+      write: this.db.prepare('INSERT INTO documents (name, data, version, updated_at) VALUES (?, ?, 1, ?) ON CONFLICT (name) DO UPDATE SET data = excluded.data, version = version + 1, updated_at = excluded.updated_at'),
+      version: this.db.prepare('SELECT version FROM documents WHERE name = ?')
+    };
+
+    logger.debug('Using SQLite state storage', { file });
+  }
+
+  read(name) {
+    const row = this.statements.read.get(name);
+    if (row) {
+      return JSON.parse(row.data);
+    }
+
+    // 从文件存储迁移
+    const legacyFile = path.join(this.dataDir, `${name}.json`);
+    if (fs.existsSync(legacyFile)) {
+      const data = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+      this.write(name, data);
+      logger.info('Imported JSON file into SQLite storage', { name, file: legacyFile });
+      return data;
+    }
+    return null;
+  }
+
+  write(name, data) {
+    this.statements.write.run(name, JSON.stringify(data), Date.now());
+  }
+
+  version(name) {
+    const row = this.statements.version.get(name);
+    return row ? row.version : 0;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// 根据 STORAGE_BACKEND 创建存储 (file | sqlite)
+function createStorage() {
+  const type = (process.env.STORAGE_BACKEND || 'file').toLowerCase();
+
+  if (type === 'sqlite') {
+    return new SqliteStorage(DATA_DIR, dataPath('state.db'));
+  }
+
+  if (type !== 'file') {
+    logger.warn('Unknown STORAGE_BACKEND, using file storage', { type });
+  }
+  return new FileStorage(DATA_DIR);
+}
+
+const storage = createStorage();
+
+module.exports = { storage, DATA_DIR, dataPath, writeFileAtomic, FileStorage, SqliteStorage };
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const logger = require('./logger');
+const users = require('./users');
+const { dataPath } = require('./storage');
+
+// 未保存参数的旧用户使用的 TOTP 参数 (RFC 6238 默认值，与大多数认证器应用兼容)
+const LEGACY_PARAMS = { algorithm: 'sha1', digits: 6, period: 30, window: 2 };
+
+const ALGORITHMS = ['sha1', 'sha256', 'sha512'];
+
+// TOTP 参数策略: 新注册的用户使用哪种算法、位数、周期和时间偏差容忍度
+// 参数在注册时保存到用户的 MFA 条目中，之后修改策略不影响已注册的认证器
+//
+// 默认值: TOTP_ALGORITHM / TOTP_DIGITS / TOTP_PERIOD / TOTP_WINDOW
+// 按角色或用户覆盖: TOTP_POLICY 环境变量或 totp-policy.json
+//   { "roles": { "admin": { "algorithm": "sha256", "digits": 8 } }, "users": { "bob": { "period": 60 } } }
+class TotpPolicy {
+  constructor() {
+    this.policyFile = dataPath('totp-policy.json');
+    this.legacyParams = LEGACY_PARAMS;
+    this.defaults = LEGACY_PARAMS;
+    this.roles = {};
+    this.users = {};
+
+    this.loadPolicy();
+  }
+
+  loadPolicy() {
+    this.defaults = {
+      ...LEGACY_PARAMS,
+      ...this.normalize({
+        algorithm: process.env.TOTP_ALGORITHM,
+        digits: process.env.TOTP_DIGITS,
+        period: process.env.TOTP_PERIOD,
+        window: process.env.TOTP_WINDOW
+      }, 'env')
+    };
+    this.roles = {};
+    this.users = {};
+
+    let policy = {};
+    let source = 'env';
+    try {
+      if (process.env.TOTP_POLICY) {
+        policy = JSON.parse(process.env.TOTP_POLICY);
+      } else if (fs.existsSync(this.policyFile)) {
+        policy = JSON.parse(fs.readFileSync(this.policyFile, 'utf8'));
+        source = this.policyFile;
+      }
+    } catch (error) {
+      // 策略只影响新注册的用户，解析失败时使用默认值
+      logger.error('Failed to parse TOTP policy, using defaults', { error: error.message });
+      return;
+    }
+
+    ['roles', 'users'].forEach(scope => {
+      Object.entries((policy && policy[scope]) || {}).forEach(([name, params]) => {
+        this[scope][name] = this.normalize(params, `${source}:${scope}.${name}`);
+      });
+    });
+
+    if (Object.keys(this.roles).length === 0 && Object.keys(this.users).length === 0) {
+      return;
+    }
+    logger.info('Loaded TOTP policy', {
+      source,
+      defaults: this.defaults,
+      roles: Object.keys(this.roles),
+      users: Object.keys(this.users)
+    });
+  }
+
+  // 校验参数，只返回有效的字段
+  normalize(params, source) {
+    const normalized = {};
+    if (!params || typeof params !== 'object') {
+      return normalized;
+    }
+
+    if (params.algorithm) {
+      const algorithm = String(params.algorithm).toLowerCase().replace('-', '');
+      if (ALGORITHMS.includes(algorithm)) {
+        normalized.algorithm = algorithm;
+      } else {
+        logger.warn('Ignoring unsupported TOTP algorithm', { source, algorithm: params.algorithm });
+      }
+    }
+
+    [['digits', 6, 8], ['period', 15, 300], ['window', 0, 10]].forEach(([field, min, max]) => {
+      if (params[field] === undefined || params[field] === null || params[field] === '') {
+        return;
+      }
+      const value = parseInt(params[field]);
+      if (Number.isInteger(value) && value >= min && value <= max) {
+        normalized[field] = value;
+      } else {
+        logger.warn(`Ignoring invalid TOTP ${field}`, { source, value: params[field], min, max });
+      }
+    });
+
+    return normalized;
+  }
+
+  // 用户注册时使用的参数: 默认值 < 角色 (按角色顺序) < 用户
+  forUser(username) {
+    const user = users.getUser(username);
+    const params = { ...this.defaults };
+    ((user && user.roles) || []).forEach(role => {
+      Object.assign(params, this.roles[role]);
+    });
+    return Object.assign(params, this.users[username]);
+  }
+
+  // 补全部分参数 (未指定的字段使用该用户的策略)
+  complete(params, username) {
+    return { ...this.forUser(username), ...this.normalize(params, username) };
+  }
+}
+
+module.exports = new TotpPolicy();
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const { storage } = require('./storage');
+const { loadSessionSecret } = require('./session-store');
+
+const COOKIE_NAME = 'trusted_device';
+
+// "记住此设备" - 受信任设备
+// 完成 MFA 后可选择信任当前浏览器 N 天，期间使用密码登录即可跳过 MFA
+// Cookie 使用 HMAC 签名，并绑定到服务端保存的随机令牌哈希和 User-Agent 指纹
+class TrustedDevices {
+  constructor() {
+    this.enabled = process.env.TRUSTED_DEVICES_ENABLED !== 'false';
+    this.days = parseInt(process.env.TRUSTED_DEVICE_DAYS) || 30;
+    this.secret = process.env.TRUSTED_DEVICE_SECRET || loadSessionSecret();
+    this.devices = new Map(); // username -> [{ id, tokenHash, agentHash, userAgent, ip, createdAt, expiresAt, lastUsedAt }]
+
+    this.load();
+  }
+
+  load() {
+    try {
+      const devices = storage.read('trusted-devices') || {};
+      Object.entries(devices).forEach(([username, list]) => {
+        this.devices.set(username, list);
+      });
+    } catch (error) {
+      logger.error('Failed to load trusted devices', {
+        error: error.message,
+        storage: storage.type
+      });
+    }
+  }
+
+  // 保存 (同时清理过期设备)
+  save() {
+    try {
+      const now = Date.now();
+      const devices = {};
+      this.devices.forEach((list, username) => {
+        const active = list.filter(device => device.expiresAt > now);
+        if (active.length > 0) {
+          devices[username] = active;
+        }
+      });
+
+      storage.write('trusted-devices', devices);
+    } catch (error) {
+      logger.error('Failed to save trusted devices', {
+        error: error.message,
+        storage: storage.type
+      });
+    }
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(String(value || '')).digest('hex');
+  }
+
+  // 读取请求中的受信任设备 Cookie
+  readCookie(req) {
+    const header = req.headers.cookie || '';
+    const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${COOKIE_NAME}=`));
+    return match ? decodeURIComponent(match.slice(COOKIE_NAME.length + 1)) : null;
+  }
+
+  cookieOptions(maxAge) {
+    return {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'lax',
+      path: '/auth',
+      maxAge
+    };
+  }
+
+  // 信任当前浏览器，返回需要设置的 Cookie
+  trust(username, req, res) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const id = crypto.randomBytes(9).toString('base64url');
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const device = {
+      id,
+      tokenHash: this.hash(token),
+      agentHash: this.hash(req.get('User-Agent')),
+      userAgent: String(req.get('User-Agent') || '').slice(0, 200),
+      ip: req.ip,
+      createdAt: now,
+      expiresAt: now + this.days * 24 * 60 * 60 * 1000,
+      lastUsedAt: null
+    };
+
+    const list = (this.devices.get(username) || []).filter(existing => existing.expiresAt > now);
+    list.push(device);
+    this.devices.set(username, list);
+    this.save();
+
+    const payload = Buffer.from(JSON.stringify({ u: username, id, t: token })).toString('base64url');
+    res.cookie(COOKIE_NAME, `${payload}.${this.sign(payload)}`, this.cookieOptions(device.expiresAt - now));
+
+    logger.info('Trusted device registered', { username, deviceId: id, ip: req.ip, days: this.days });
+    return device;
+  }
+
+  // 检查请求是否来自该用户的受信任设备
+  verify(username, req) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const cookie = this.readCookie(req);
+    if (!cookie) {
+      return null;
+    }
+
+    const [payload, signature] = cookie.split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      logger.warn('Trusted device cookie with invalid signature', { username, ip: req.ip });
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (data.u !== username) {
+      return null;
+    }
+
+    const device = (this.devices.get(username) || []).find(candidate => candidate.id === data.id);
+    if (!device || device.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    // 令牌和 User-Agent 指纹都必须匹配
+    if (device.tokenHash !== this.hash(data.t) || device.agentHash !== this.hash(req.get('User-Agent'))) {
+      logger.warn('Trusted device cookie did not match device binding', { username, deviceId: device.id, ip: req.ip });
+      return null;
+    }
+
+    device.lastUsedAt = Date.now();
+    this.save();
+    return device;
+  }
+
+  // 清除当前浏览器的 Cookie
+  clearCookie(res) {
+    res.clearCookie(COOKIE_NAME, this.cookieOptions(undefined));
+  }
+
+  list(username) {
+    const now = Date.now();
+    return (this.devices.get(username) || [])
+      .filter(device => device.expiresAt > now)
+      .map(device => ({
+        id: device.id,
+        userAgent: device.userAgent,
+        ip: device.ip,
+        createdAt: new Date(device.createdAt).toISOString(),
+        expiresAt: new Date(device.expiresAt).toISOString(),
+        lastUsedAt: device.lastUsedAt ? new Date(device.lastUsedAt).toISOString() : null
+      }));
+  }
+
+  // 撤销某个设备 (deviceId 为空时撤销该用户所有设备)
+  revoke(username, deviceId) {
+    const list = this.devices.get(username) || [];
+    const remaining = deviceId ? list.filter(device => device.id !== deviceId) : [];
+    const revoked = list.length - remaining.length;
+
+    if (revoked > 0) {
+      this.devices.set(username, remaining);
+      this.save();
+      logger.info('Trusted devices revoked', { username, deviceId: deviceId || 'all', revoked });
+    }
+    return revoked;
+  }
+}
+
+module.exports = new TrustedDevices();
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const logger = require('./logger');
+const { storage, dataPath, writeFileAtomic } = require('./storage');
+
+// 用于用户不存在时的比较，避免通过响应时间枚举用户名
+const DUMMY_HASH = '$2a$10$CwTycUXWue0Thq9StjUM0uJ8.iFYTCuYTjU6PnhjfYp0/fkT8ebGC';
+
+// 未分配角色的用户默认角色
+const DEFAULT_ROLES = ['user'];
+
+// 规范化角色列表 (支持数组或 "a|b" / "a,b" 字符串)
+function normalizeRoles(roles) {
+  const list = Array.isArray(roles) ? roles : String(roles || '').split(/[|,]/);
+  const normalized = list.map(role => String(role).trim()).filter(Boolean);
+  return normalized.length > 0 ? Array.from(new Set(normalized)) : DEFAULT_ROLES.slice();
+}
+
+class UserStore {
+  constructor() {
+    // users.json 是可手动编辑并被监听的配置文件，始终保存在数据目录中
+    this.usersFile = dataPath('users.json');
+    this.users = new Map(); // username -> { username, passwordHash, enabled, roles, email, source }
+                            // source: env | file | ldap (目录用户登录时更新，角色等信息保存在存储的 directory-users 中)
+
+    this.loadUsers();
+    this.watchUsersFile();
+  }
+
+  // 从环境变量和文件加载用户
+  loadUsers() {
+    const users = new Map();
+
+    // 先加载环境变量中的用户，再用文件中的配置覆盖（文件是运行时可管理的数据源）
+    this.loadFromEnv(users);
+    this.loadFromFile(users);
+
+    // 登录过的目录用户 (本地配置中的同名用户优先)
+    this.loadDirectoryUsers(users);
+
+    this.users = users;
+
+    logger.info('Loaded user credentials', {
+      users: Array.from(users.keys()),
+      disabled: Array.from(users.values()).filter(user => !user.enabled).map(user => user.username)
+    });
+
+    return users.size;
+  }
+
+  // 解析环境变量 USERS (多用户) 和 USER_CREDENTIALS (单用户，向后兼容)
+  loadFromEnv(users) {
+    const entries = [];
+
+    if (process.env.USER_CREDENTIALS) {
+      entries.push(process.env.USER_CREDENTIALS);
+    }
+
+    // USERS 格式: "alice:hash:admin|ops,bob:hash" (逗号、分号或换行分隔，角色可选)
+    if (process.env.USERS) {
+      entries.push(...process.env.USERS.split(/[,;\n]/));
+    }
+
+    entries.forEach(entry => {
+      const trimmed = entry.trim();
+      if (!trimmed) {
+        return;
+      }
+
+      // bcrypt 哈希中不包含冒号，第三段为可选的角色列表
+      const [username = '', passwordHash = '', roles = ''] = trimmed.split(':').map(part => part.trim());
+
+      if (!username || !passwordHash) {
+        logger.error('Invalid user credential entry. Expected: username:password_hash', {
+          entry: username || '(empty username)'
+        });
+        return;
+      }
+
+      users.set(username, {
+        username,
+        passwordHash,
+        enabled: true,
+        roles: normalizeRoles(roles),
+        source: 'env'
+      });
+    });
+  }
+
+  // 从 users.json 加载用户
+  loadFromFile(users) {
+    try {
+      if (!fs.existsSync(this.usersFile)) {
+        return;
+      }
+
+      const fileUsers = JSON.parse(fs.readFileSync(this.usersFile, 'utf8'));
+
+      Object.entries(fileUsers).forEach(([username, entry]) => {
+        const existing = users.get(username);
+        const passwordHash = entry.passwordHash || (existing && existing.passwordHash);
+
+        if (!passwordHash) {
+          logger.warn('Skipping user without password hash', { username, file: this.usersFile });
+          return;
+        }
+
+        users.set(username, {
+          username,
+          passwordHash,
+          enabled: entry.enabled !== false,
+          roles: normalizeRoles(entry.roles || (existing && existing.roles)),
+          email: entry.email || (existing && existing.email) || null,
+          source: 'file'
+        });
+      });
+    } catch (error) {
+      logger.error('Failed to load users from file', {
+        error: error.message,
+        file: this.usersFile
+      });
+    }
+  }
+
+  // 加载登录过的目录用户 (重启后已有会话仍能找到用户和角色)
+  loadDirectoryUsers(users) {
+    try {
+      const directoryUsers = storage.read('directory-users') || {};
+      Object.entries(directoryUsers).forEach(([username, entry]) => {
+        if (!users.has(username)) {
+          users.set(username, this.buildDirectoryUser(username, entry));
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to load directory users', { error: error.message, storage: storage.type });
+    }
+  }
+
+  // 保存目录用户的最小记录 (角色、DN、邮箱，不含密码)
+  saveDirectoryUsers() {
+    try {
+      const directoryUsers = {};
+      this.users.forEach((user, username) => {
+        if (user.source === 'ldap') {
+          directoryUsers[username] = { roles: user.roles, dn: user.dn || null, email: user.email };
+        }
+      });
+      storage.write('directory-users', directoryUsers);
+    } catch (error) {
+      logger.error('Failed to save directory users', { error: error.message, storage: storage.type });
+    }
+  }
+
+  buildDirectoryUser(username, { roles, dn, email } = {}) {
+    return {
+      username,
+      passwordHash: null,
+      enabled: true,
+      roles: normalizeRoles(roles),
+      email: email || null,
+      source: 'ldap',
+      dn: dn || null
+    };
+  }
+
+  // 监听用户文件变化，无需重启即可生效
+  watchUsersFile() {
+    const watcher = fs.watchFile(this.usersFile, { interval: 2000 }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) {
+        logger.info('Users file changed, reloading', { file: this.usersFile });
+        this.loadUsers();
+      }
+    });
+
+    // 不阻止进程退出 (脚本中引用时)
+    watcher.unref();
+  }
+
+  // 保存文件来源的用户
+  saveToFile() {
+    try {
+      const fileUsers = {};
+      this.users.forEach((user, username) => {
+        if (user.source === 'file') {
+          fileUsers[username] = {
+            passwordHash: user.passwordHash,
+            enabled: user.enabled,
+            roles: user.roles,
+            ...(user.email ? { email: user.email } : {})
+          };
+        }
+      });
+
+      writeFileAtomic(this.usersFile, JSON.stringify(fileUsers, null, 2));
+
+      logger.info('Saved users to file', {
+        file: this.usersFile,
+        users: Object.keys(fileUsers)
+      });
+    } catch (error) {
+      logger.error('Failed to save users to file', {
+        error: error.message,
+        file: this.usersFile
+      });
+    }
+  }
+
+  getUser(username) {
+    return this.users.get(username) || null;
+  }
+
+  listUsers() {
+    return Array.from(this.users.values()).map(user => ({
+      username: user.username,
+      enabled: user.enabled,
+      roles: user.roles,
+      email: user.email || null,
+      source: user.source
+    }));
+  }
+
+  // 验证用户名和密码
+  async verifyPassword(username, password) {
+    const user = typeof username === 'string' ? this.users.get(username) : null;
+
+    if (!user || typeof password !== 'string') {
+      await bcrypt.compare(String(password || ''), DUMMY_HASH);
+      return { success: false, reason: 'unknown_user' };
+    }
+
+    // 目录用户没有本地密码
+    if (!user.passwordHash) {
+      await bcrypt.compare(password, DUMMY_HASH);
+      return { success: false, reason: 'unknown_user' };
+    }
+
+    const valid = await bcrypt.compare(password, user.passwordHash);
+    if (!valid) {
+      return { success: false, reason: 'invalid_password' };
+    }
+
+    if (!user.enabled) {
+      return { success: false, reason: 'disabled' };
+    }
+
+    return { success: true, user };
+  }
+
+  // 添加或更新用户 (写入 users.json)，email 为 null 时清除邮箱
+  setUser(username, { passwordHash, enabled, roles, email } = {}) {
+    const existing = this.users.get(username);
+    const user = {
+      username,
+      passwordHash: passwordHash || (existing && existing.passwordHash),
+      enabled: enabled !== undefined ? enabled : (existing ? existing.enabled : true),
+      roles: normalizeRoles(roles || (existing && existing.roles)),
+      email: email !== undefined ? email : ((existing && existing.email) || null),
+      source: 'file'
+    };
+
+    if (!user.passwordHash) {
+      throw new Error(`User ${username} has no password hash`);
+    }
+
+    this.users.set(username, user);
+    this.saveToFile();
+    return user;
+  }
+
+  // 修改密码 (重新计算哈希并写入 users.json)
+  async setPassword(username, password) {
+    const passwordHash = await bcrypt.hash(password, 10);
+    const user = this.setUser(username, { passwordHash });
+    logger.info('User password changed', { username });
+    return user;
+  }
+
+  // 记录通过 LDAP 登录的目录用户 (不写入 users.json，目录信息变化时保存到存储)
+  setDirectoryUser(username, details = {}) {
+    const user = this.buildDirectoryUser(username, details);
+    const existing = this.users.get(username);
+
+    this.users.set(username, user);
+    if (!existing || existing.source !== 'ldap' ||
+        JSON.stringify([existing.roles, existing.dn, existing.email]) !== JSON.stringify([user.roles, user.dn, user.email])) {
+      this.saveDirectoryUsers();
+    }
+    return user;
+  }
+
+  setEnabled(username, enabled) {
+    if (!this.users.has(username)) {
+      return false;
+    }
+    this.setUser(username, { enabled });
+    logger.info('User enabled state changed', { username, enabled });
+    return true;
+  }
+
+  setRoles(username, roles) {
+    if (!this.users.has(username)) {
+      return false;
+    }
+    const user = this.setUser(username, { roles });
+    logger.info('User roles changed', { username, roles: user.roles });
+    return true;
+  }
+
+  // 设置邮箱地址 (用于邮件验证码)，空值清除
+  setEmail(username, email) {
+    if (!this.users.has(username)) {
+      return false;
+    }
+    this.setUser(username, { email: email || null });
+    logger.info('User email changed', { username, hasEmail: Boolean(email) });
+    return true;
+  }
+
+  // 从文件中删除用户 (环境变量中定义的用户会在下次加载时恢复)
+  removeUser(username) {
+    const user = this.users.get(username);
+    if (!user) {
+      return false;
+    }
+
+    this.users.delete(username);
+    this.saveToFile();
+    this.loadUsers();
+    return true;
+  }
+}
+
+module.exports = new UserStore();
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const logger = require('./logger');
+const { storage } = require('./storage');
+const branding = require('./branding');
+
+// WebAuthn / Passkey 第二因素
+// 每个用户可以注册多个认证器 (安全密钥或平台 Passkey)，凭据保存在状态存储中
+class WebAuthnManager {
+  constructor() {
+    this.rpName = process.env.WEBAUTHN_RP_NAME || branding.title;
+    this.credentials = new Map(); // username -> [{ id, publicKey, counter, transports, name, createdAt, lastUsedAt }]
+
+    this.load();
+  }
+
+  // 从存储加载凭据
+  load() {
+    try {
+      const credentials = storage.read('webauthn-credentials');
+      if (credentials) {
+        Object.entries(credentials).forEach(([username, list]) => {
+          this.credentials.set(username, list);
+        });
+
+        logger.info('Loaded WebAuthn credentials', {
+          storage: storage.type,
+          users: Object.keys(credentials)
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to load WebAuthn credentials', {
+        error: error.message,
+        storage: storage.type
+      });
+    }
+  }
+
+  // 保存凭据
+  save() {
+    try {
+      const credentials = {};
+      this.credentials.forEach((list, username) => {
+        if (list.length > 0) {
+          credentials[username] = list;
+        }
+      });
+
+      storage.write('webauthn-credentials', credentials);
+    } catch (error) {
+      logger.error('Failed to save WebAuthn credentials', {
+        error: error.message,
+        storage: storage.type
+      });
+    }
+  }
+
+  // 依赖方 ID 和来源 (未配置时根据请求的主机名推断)
+  getRelyingParty(req) {
+    return {
+      rpID: process.env.WEBAUTHN_RP_ID || req.hostname,
+      origin: process.env.WEBAUTHN_ORIGIN || `${req.protocol}://${req.get('host')}`
+    };
+  }
+
+  getCredentials(username) {
+    return this.credentials.get(username) || [];
+  }
+
+  hasCredentials(username) {
+    return this.getCredentials(username).length > 0;
+  }
+
+  // 列出用户的认证器 (不包含公钥)
+  listCredentials(username) {
+    return this.getCredentials(username).map(credential => ({
+      id: credential.id,
+      name: credential.name,
+      deviceType: credential.deviceType,
+      createdAt: credential.createdAt,
+      lastUsedAt: credential.lastUsedAt
+    }));
+  }
+
+  // 生成注册选项
+  async generateRegistrationOptions(username, req) {
+    const { rpID } = this.getRelyingParty(req);
+
+    return generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID,
+      userName: username,
+      // 稳定且不泄露用户名的用户句柄
+      userID: new Uint8Array(crypto.createHash('sha256').update(`webauthn:${username}`).digest()),
+      attestationType: 'none',
+      excludeCredentials: this.getCredentials(username).map(credential => ({
+        id: credential.id,
+        transports: credential.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred'
+      }
+    });
+  }
+
+  // 验证注册响应并保存凭据
+  async verifyRegistration(username, response, expectedChallenge, req, name) {
+    const { rpID, origin } = this.getRelyingParty(req);
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+        requireUserVerification: false
+      });
+    } catch (error) {
+      logger.warn('WebAuthn registration verification error', { username, error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    if (!verification.verified || !verification.registrationInfo) {
+      return { success: false, error: 'Registration could not be verified' };
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+    const list = this.getCredentials(username);
+
+    list.push({
+      id: credential.id,
+      publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+      counter: credential.counter,
+      transports: credential.transports || response.response?.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name: String(name || '').trim().slice(0, 64) || `Authenticator ${list.length + 1}`,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    });
+
+    this.credentials.set(username, list);
+    this.save();
+
+    logger.info('WebAuthn credential registered', {
+      username,
+      credentialId: credential.id,
+      deviceType: credentialDeviceType,
+      total: list.length
+    });
+
+    return { success: true, credentialId: credential.id };
+  }
+
+  // 生成认证选项
+  async generateAuthenticationOptions(username, req) {
+    const { rpID } = this.getRelyingParty(req);
+
+    return generateAuthenticationOptions({
+      rpID,
+      allowCredentials: this.getCredentials(username).map(credential => ({
+        id: credential.id,
+        transports: credential.transports
+      })),
+      userVerification: 'preferred'
+    });
+  }
+
+  // 验证认证响应
+  async verifyAuthentication(username, response, expectedChallenge, req) {
+    const { rpID, origin } = this.getRelyingParty(req);
+    const credential = this.getCredentials(username).find(candidate => response && candidate.id === response.id);
+
+    if (!credential) {
+      logger.warn('Unknown WebAuthn credential', { username, credentialId: response && response.id });
+      return { success: false, error: 'Unknown authenticator' };
+    }
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+        credential: {
+          id: credential.id,
+          publicKey: new Uint8Array(Buffer.from(credential.publicKey, 'base64url')),
+          counter: credential.counter,
+          transports: credential.transports
+        },
+        requireUserVerification: false
+      });
+    } catch (error) {
+      logger.warn('WebAuthn authentication verification error', { username, error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    if (!verification.verified) {
+      return { success: false, error: 'Authentication could not be verified' };
+    }
+
+    // 更新签名计数器 (防止克隆认证器)
+    credential.counter = verification.authenticationInfo.newCounter;
+    credential.lastUsedAt = new Date().toISOString();
+    this.save();
+
+    return { success: true, credentialId: credential.id };
+  }
+
+  // 删除用户的某个认证器
+  removeCredential(username, credentialId) {
+    const list = this.getCredentials(username);
+    const remaining = list.filter(credential => credential.id !== credentialId);
+
+    if (remaining.length === list.length) {
+      return false;
+    }
+
+    this.credentials.set(username, remaining);
+    this.save();
+
+    logger.info('WebAuthn credential removed', { username, credentialId, remaining: remaining.length });
+    return true;
+  }
+
+  // 删除用户的所有认证器 (MFA 重置)
+  resetCredentials(username) {
+    const had = this.hasCredentials(username);
+    if (this.credentials.delete(username)) {
+      this.save();
+    }
+    return had;
+  }
+}
+
+module.exports = new WebAuthnManager();
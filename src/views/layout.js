@@ -0,0 +1,9 @@
+const path = require('path');
+const { dataPath } = require('../utils/storage');
+
+// 认证页面都是 templates/ 下的 EJS 模板 (公共部分在 templates/partials/)
+// 可覆盖的模板目录: 与内置模板同名的文件优先使用 (如 VIEWS_DIR/login.ejs)，另外可以放置 locales/ 和 static/
+const VIEWS_DIR = process.env.VIEWS_DIR || dataPath('views');
+const viewDirs = [VIEWS_DIR, path.join(__dirname, 'templates')];
+
+module.exports = { VIEWS_DIR, viewDirs };